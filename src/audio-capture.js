@@ -0,0 +1,302 @@
+const { spawn, execSync, execFile } = require('child_process');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { Transform } = require('stream');
+
+// Recognition expects 16-bit signed little-endian mono PCM, by default at 16 kHz.
+// Lower rates save bandwidth; these are the ones every encoding accepts.
+const SAMPLE_RATE = 16000;
+const SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+const BYTES_PER_SECOND = SAMPLE_RATE * 2;
+
+// sox input drivers in order of preference per platform. PipeWire is reached
+// through its PulseAudio (pipewire-pulse) or ALSA compatibility layers.
+const PLATFORM_DRIVERS = {
+    win32: ['waveaudio'],
+    darwin: ['coreaudio'],
+    linux: ['pulseaudio', 'alsa']
+};
+
+let supportedDrivers = null;
+
+function isSoxAvailable() {
+    try {
+        execSync('sox --version', { stdio: 'ignore' });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function isFfmpegAvailable() {
+    try {
+        execSync('ffmpeg -version', { stdio: 'ignore' });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Video and container formats sox can't open
+const FFMPEG_EXTENSIONS = ['mp4', 'm4a', 'm4v', 'mov', 'mkv', 'webm', 'avi', 'wmv', 'wma', 'aac', 'opus', '3gp', 'ts', 'flv'];
+
+// Which program decodes a file source: sox where it can, ffmpeg otherwise
+function decoderFor(source) {
+    if (source.type !== 'file' || source.format === 'raw' || isRawPath(source.path)) {
+        return 'sox';
+    }
+    if (source.decoder) {
+        return source.decoder;
+    }
+    const extension = path.extname(source.path).slice(1).toLowerCase();
+    return FFMPEG_EXTENSIONS.includes(extension) || !isSoxAvailable() ? 'ffmpeg' : 'sox';
+}
+
+function buildFfmpegArgs(source, sampleRate = SAMPLE_RATE) {
+    return [
+        '-v', 'error',
+        '-nostdin',
+        '-i', source.path,
+        '-vn',                     // Ignore any video track
+        '-ac', '1',
+        '-ar', `${sampleRate}`,
+        '-f', 's16le',
+        '-'
+    ];
+}
+
+// Length of a media file in ms, or null if it can't be told
+function probeDuration(filePath) {
+    const [command, args] = decoderFor({ type: 'file', path: filePath }) === 'ffmpeg'
+        ? ['ffprobe', ['-v', 'error', '-show_entries', 'format=duration', '-of', 'csv=p=0', filePath]]
+        : ['soxi', ['-D', filePath]];
+
+    return new Promise(resolve => {
+        execFile(command, args, { timeout: 10000 }, (error, stdout) => {
+            const seconds = parseFloat(stdout);
+            resolve(error || !Number.isFinite(seconds) ? null : Math.round(seconds * 1000));
+        });
+    });
+}
+
+// Parse the "AUDIO DEVICE DRIVERS" line of `sox -h`
+function getSupportedDrivers() {
+    if (supportedDrivers) return supportedDrivers;
+
+    try {
+        const help = execSync('sox -h', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+        const match = /AUDIO DEVICE DRIVERS:(.*)/.exec(help);
+        supportedDrivers = match ? match[1].trim().split(/\s+/) : [];
+    } catch (error) {
+        supportedDrivers = [];
+    }
+    return supportedDrivers;
+}
+
+function hasPulseServer() {
+    try {
+        execSync('pactl info', { stdio: 'ignore' });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Pick the input driver for this platform
+function detectDriver(platform = process.platform) {
+    const candidates = PLATFORM_DRIVERS[platform] || ['alsa'];
+    const supported = getSupportedDrivers();
+
+    const usable = candidates.filter(driver => {
+        if (supported.length > 0 && !supported.includes(driver)) return false;
+        if (driver === 'pulseaudio') return hasPulseServer();
+        return true;
+    });
+
+    return usable[0] || candidates[candidates.length - 1];
+}
+
+// Format arguments describing raw PCM, used for output and raw inputs
+function pcmArgs({ rate = SAMPLE_RATE, channels = 1, bits = 16 } = {}) {
+    return [
+        '-r', `${rate}`,
+        '-c', `${channels}`,
+        '-e', 'signed-integer',
+        '-b', `${bits}`
+    ];
+}
+
+function isRawPath(filePath) {
+    return /\.(raw|pcm)$/i.test(filePath);
+}
+
+function deviceArgs(driver, device) {
+    // waveaudio takes -d for its default device, other drivers a device name
+    const name = device !== null && device !== undefined
+        ? `${device}`
+        : (driver === 'waveaudio' ? '-d' : 'default');
+    return ['-t', driver, name];
+}
+
+// Build the sox input arguments for a capture source:
+//   { type: 'device', driver, device }
+//   { type: 'mix', driver, device, loopbackDevice, separate }
+//                                       mic and system audio, as two channels when separate
+//   { type: 'file', path, format }      format: 'raw' or anything sox can read
+//   { type: 'stdin', format }
+function inputArgs(source, sampleRate) {
+    switch (source.type) {
+        case 'file': {
+            const raw = source.format === 'raw' || isRawPath(source.path);
+            return raw
+                ? ['-t', 'raw', ...pcmArgs(source.inputFormat), source.path]
+                : [source.path];
+        }
+        case 'stdin':
+            return source.format === 'raw'
+                ? ['-t', 'raw', ...pcmArgs(source.inputFormat), '-']
+                : ['-t', source.format || 'wav', '-'];
+        case 'mix': {
+            // -M merges inputs into separate channels, -m mixes them down;
+            // both need inputs with matching rate and channel count
+            const driver = source.driver || detectDriver();
+            const inputFormat = ['-r', `${sampleRate}`, '-c', '1'];
+            return [
+                source.separate ? '-M' : '-m',
+                ...inputFormat, ...deviceArgs(driver, source.device),
+                ...inputFormat, ...deviceArgs(driver, source.loopbackDevice)
+            ];
+        }
+        case 'device':
+        default:
+            return deviceArgs(source.driver || detectDriver(), source.device);
+    }
+}
+
+function outputChannels(source) {
+    return source.type === 'mix' && source.separate ? 2 : 1;
+}
+
+function buildSoxArgs(source, sampleRate = SAMPLE_RATE) {
+    return [
+        '-q',
+        ...inputArgs(source, sampleRate),
+        ...pcmArgs({ rate: sampleRate, channels: outputChannels(source) }),
+        '-t', 'raw',               // Output format
+        '-'                        // Output to stdout
+    ];
+}
+
+// Releases audio no faster than it would arrive from a live device
+function createRealtimeThrottle(bytesPerSecond = BYTES_PER_SECOND) {
+    let startTime = null;
+    let bytesSent = 0;
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            if (startTime === null) startTime = Date.now();
+            bytesSent += chunk.length;
+
+            const due = startTime + (bytesSent / bytesPerSecond) * 1000;
+            setTimeout(() => callback(null, chunk), Math.max(0, due - Date.now()));
+        }
+    });
+}
+
+// Spawns sox (or ffmpeg for video and container files) for the requested source
+// and exposes PCM at options.sampleRate (16 kHz by default) on `stream`. Emits
+// 'error', and 'end' once a file or stdin source is exhausted.
+class AudioCapture extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.source = options.source || { type: 'device', device: options.device, driver: options.driver };
+        this.live = this.source.type === 'device' || this.source.type === 'mix';
+        this.realtime = options.realtime !== undefined ? options.realtime : this.live;
+        this.sampleRate = options.sampleRate || SAMPLE_RATE;
+        this.process = null;
+        this.stream = null;
+        this.stopped = false;
+    }
+
+    start() {
+        this.stopped = false;
+        const ffmpeg = decoderFor(this.source) === 'ffmpeg';
+        this.process = ffmpeg
+            ? spawn('ffmpeg', buildFfmpegArgs(this.source, this.sampleRate))
+            : spawn('sox', buildSoxArgs(this.source, this.sampleRate));
+
+        // Mostly informational, but the last line explains a failed decode
+        let lastMessage = '';
+        this.process.stderr.on('data', (data) => {
+            lastMessage = data.toString().trim().split('\n').pop() || lastMessage;
+        });
+
+        this.process.on('error', () => {
+            this.emit('error', new Error(ffmpeg
+                ? 'Decoding failed. Please ensure ffmpeg is installed and accessible.'
+                : 'Recording failed. Please ensure SOX is installed and accessible.'));
+        });
+
+        this.process.on('exit', (code) => {
+            if (this.stopped) return;
+
+            if (code !== 0 && code !== null) {
+                this.emit('error', new Error(this.live
+                    ? 'Recording stopped unexpectedly'
+                    : `Could not read ${path.basename(this.source.path || 'input')}${lastMessage ? `: ${lastMessage}` : ''}`));
+            }
+        });
+
+        if (this.source.type === 'stdin') {
+            const input = this.source.stream || process.stdin;
+            input.pipe(this.process.stdin);
+        }
+
+        // Live devices already deliver audio in real time
+        this.stream = !this.live && this.realtime
+            ? this.process.stdout.pipe(createRealtimeThrottle(this.sampleRate * 2))
+            : this.process.stdout;
+
+        this.stream.on('end', () => {
+            if (!this.stopped) {
+                this.emit('end');
+            }
+        });
+
+        return this.stream;
+    }
+
+    stop() {
+        this.stopped = true;
+
+        if (this.stream) {
+            this.stream.unpipe();
+        }
+
+        if (this.process) {
+            if (this.source.type === 'stdin') {
+                (this.source.stream || process.stdin).unpipe(this.process.stdin);
+            }
+            this.process.kill('SIGTERM');
+            this.process = null;
+        }
+        this.stream = null;
+    }
+}
+
+module.exports = {
+    AudioCapture,
+    SAMPLE_RATE,
+    SAMPLE_RATES,
+    BYTES_PER_SECOND,
+    isSoxAvailable,
+    isFfmpegAvailable,
+    decoderFor,
+    probeDuration,
+    detectDriver,
+    buildSoxArgs,
+    buildFfmpegArgs,
+    pcmArgs,
+    outputChannels
+};
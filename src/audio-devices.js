@@ -0,0 +1,160 @@
+const { execFile } = require('child_process');
+const { detectDriver } = require('./audio-capture');
+
+function run(command, args) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { encoding: 'utf8', timeout: 5000, windowsHide: true }, (error, stdout) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+// `pactl list sources` blocks, monitors of output devices only when asked for
+async function listPulseSources(includeMonitors = false) {
+    const output = await run('pactl', ['list', 'sources']);
+    const devices = [];
+
+    output.split(/^Source #/m).slice(1).forEach(block => {
+        const name = /^\s*Name:\s*(.+)$/m.exec(block);
+        const description = /^\s*Description:\s*(.+)$/m.exec(block);
+        if (!name || (!includeMonitors && name[1].endsWith('.monitor'))) return;
+
+        devices.push({
+            id: name[1].trim(),
+            label: description ? description[1].trim() : name[1].trim()
+        });
+    });
+
+    return devices;
+}
+
+// `arecord -l` lines look like: card 1: USB [USB Audio Device], device 0: USB Audio [USB Audio]
+async function listAlsaDevices() {
+    const output = await run('arecord', ['-l']);
+    const devices = [];
+    const pattern = /^card (\d+): [^[]*\[([^\]]+)\], device (\d+): [^[]*\[([^\]]+)\]/gm;
+    let match;
+
+    while ((match = pattern.exec(output)) !== null) {
+        devices.push({
+            id: `plughw:${match[1]},${match[3]}`,
+            label: match[2].trim()
+        });
+    }
+
+    return devices;
+}
+
+// CoreAudio devices with input channels, sox takes the device name
+async function listCoreAudioDevices() {
+    const output = await run('system_profiler', ['SPAudioDataType', '-json']);
+    const data = JSON.parse(output);
+    const items = (data.SPAudioDataType || []).flatMap(entry => entry._items || []);
+
+    return items
+        .filter(item => item.coreaudio_device_input)
+        .map(item => ({ id: item._name, label: item._name }));
+}
+
+// Active capture endpoints from the MMDevices registry. The waveaudio driver
+// matches on the WinMM name, which is truncated to 31 characters.
+async function listWaveAudioDevices() {
+    const script = [
+        "$root = 'HKLM:\\SOFTWARE\\Microsoft\\Windows\\CurrentVersion\\MMDevices\\Audio\\Capture'",
+        'Get-ChildItem $root | ForEach-Object {',
+        '  if ((Get-ItemProperty $_.PSPath).DeviceState -eq 1) {',
+        "    $p = Get-ItemProperty (Join-Path $_.PSPath 'Properties')",
+        "    $p.'{a45c254e-df1c-4efd-8020-67d146a850e0},2' + ' (' + $p.'{b3f8fa53-0004-438e-9003-51a46e139bfc},6' + ')'",
+        '  }',
+        '}'
+    ].join('\n');
+    const output = await run('powershell.exe', ['-NoProfile', '-NonInteractive', '-Command', script]);
+
+    return output
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(label => ({ id: label.slice(0, 31), label }));
+}
+
+const DRIVER_LISTERS = {
+    pulseaudio: listPulseSources,
+    alsa: listAlsaDevices,
+    coreaudio: listCoreAudioDevices,
+    waveaudio: listWaveAudioDevices
+};
+
+// List capture devices as { id, label }, where id is what sox accepts for the driver
+async function listAudioDevices(driver = detectDriver()) {
+    const lister = DRIVER_LISTERS[driver];
+    if (!lister) return [];
+
+    try {
+        return await lister();
+    } catch (error) {
+        return [];
+    }
+}
+
+// Devices that carry what the machine is playing, by platform convention:
+// "Stereo Mix" or a virtual cable on Windows, BlackHole/Soundflower on macOS,
+// the snd-aloop "Loopback" card with plain ALSA
+const LOOPBACK_PATTERN = /stereo mix|what u hear|wave out mix|loopback|cable output|blackhole|soundflower/i;
+
+const LOOPBACK_HINTS = {
+    pulseaudio: 'No PulseAudio/PipeWire monitor source found.',
+    alsa: 'No ALSA loopback device found. Load it with: sudo modprobe snd-aloop',
+    coreaudio: 'No virtual audio device found. Install BlackHole and route system output through it.',
+    waveaudio: 'No loopback device found. Enable "Stereo Mix" in Sound settings or install a virtual audio cable.'
+};
+
+// Find the capture device that records system output
+async function findLoopbackDevice(driver = detectDriver()) {
+    if (driver === 'pulseaudio') {
+        // Pulse resolves this to the monitor of the current default sink
+        const monitors = await listPulseSources(true).catch(() => []);
+        if (monitors.some(device => device.id.endsWith('.monitor'))) {
+            return '@DEFAULT_MONITOR@';
+        }
+    } else {
+        const devices = await listAudioDevices(driver);
+        const loopback = devices.find(device => LOOPBACK_PATTERN.test(device.label));
+        if (loopback) return loopback.id;
+    }
+
+    throw new Error(LOOPBACK_HINTS[driver] || 'System audio capture is not supported on this platform.');
+}
+
+// Browser labels carry extras like "Default - " prefixes or USB ids "(046d:0825)"
+function normalizeLabel(label) {
+    return (label || '')
+        .toLowerCase()
+        .replace(/^(default|communications)\s*-\s*/, '')
+        .replace(/\s*\([0-9a-f]{4}:[0-9a-f]{4}\)\s*$/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Map a browser device label from enumerateDevices() onto a sox device
+function matchDevice(devices, label) {
+    const wanted = normalizeLabel(label);
+    if (!wanted) return null;
+
+    const exact = devices.find(device => normalizeLabel(device.label) === wanted);
+    if (exact) return exact;
+
+    return devices.find(device => {
+        const candidate = normalizeLabel(device.label);
+        return candidate && (candidate.includes(wanted) || wanted.includes(candidate));
+    }) || null;
+}
+
+module.exports = {
+    listAudioDevices,
+    findLoopbackDevice,
+    matchDevice
+};
@@ -0,0 +1,112 @@
+const { spawn } = require('child_process');
+const { Writable } = require('stream');
+const { pcmArgs } = require('./audio-capture');
+
+// How audio travels to the recognizer. PCM goes as captured; FLAC is lossless
+// at roughly half the size, Opus lossy at about a tenth.
+const ENCODINGS = ['linear16', 'flac', 'ogg-opus'];
+
+// Plenty for speech
+const OPUS_BITRATE = '24k';
+// Ogg pages are flushed this often (in µs) rather than once a second
+const OGG_PAGE_DURATION = 100000;
+// Small sox buffers keep FLAC frames from piling up before they're sent
+const SOX_BUFFER = 2048;
+
+// The program that produces an encoding, null for PCM
+function encoderFor(encoding) {
+    switch (encoding) {
+        case 'flac':
+            return 'sox';
+        case 'ogg-opus':
+            return 'ffmpeg';
+        default:
+            return null;
+    }
+}
+
+function buildEncoderArgs(encoding, { sampleRate, channels }) {
+    if (encoding === 'flac') {
+        return [
+            '-q',
+            '--buffer', `${SOX_BUFFER}`,
+            '-t', 'raw', ...pcmArgs({ rate: sampleRate, channels }), '-',
+            '-t', 'flac', '-'
+        ];
+    }
+    return [
+        '-v', 'error',
+        '-f', 's16le', '-ar', `${sampleRate}`, '-ac', `${channels}`, '-i', '-',
+        '-c:a', 'libopus',
+        '-b:a', OPUS_BITRATE,
+        '-application', 'voip',
+        '-page_duration', `${OGG_PAGE_DURATION}`,
+        '-flush_packets', '1',
+        '-f', 'ogg',
+        '-'
+    ];
+}
+
+// Takes PCM and compresses it on its way into a recognizer stream. Each stream
+// gets its own encoder, so every one starts with fresh headers. Passes on the
+// recognizer's 'result', 'error' and 'end', standing in for it.
+class EncodingStream extends Writable {
+    constructor(target, { encoding, sampleRateHertz, channels = 1 }) {
+        super();
+        this.target = target;
+        this.failed = false;
+
+        const command = encoderFor(encoding);
+        this.process = spawn(command, buildEncoderArgs(encoding, { sampleRate: sampleRateHertz, channels }));
+
+        let lastMessage = '';
+        this.process.stderr.on('data', (data) => {
+            lastMessage = data.toString().trim().split('\n').pop() || lastMessage;
+        });
+        this.process.on('error', () => {
+            this.fail(new Error(`Audio encoding failed. Please ensure ${command} is installed and accessible.`));
+        });
+        this.process.on('exit', (code) => {
+            if (code !== 0 && code !== null) {
+                this.fail(new Error(`Audio encoding failed${lastMessage ? `: ${lastMessage}` : ''}`));
+            }
+        });
+        // Writing to an encoder that died fails too; its exit says why
+        this.process.stdin.on('error', () => {});
+
+        this.process.stdout.pipe(target);
+        target
+            .on('result', (result) => this.emit('result', result))
+            .on('end', () => this.emit('end'))
+            .on('error', (error) => this.fail(error));
+    }
+
+    _write(chunk, encoding, callback) {
+        if (this.process.stdin.write(chunk)) {
+            callback();
+        } else {
+            this.process.stdin.once('drain', () => callback());
+        }
+    }
+
+    // The encoder flushes and exits, which ends the recognizer stream
+    _final(callback) {
+        this.process.stdin.end();
+        callback();
+    }
+
+    // Anything after the first failure is fallout from it
+    fail(error) {
+        if (this.failed) return;
+        this.failed = true;
+        this.process.kill();
+        this.emit('error', error);
+    }
+}
+
+module.exports = {
+    ENCODINGS,
+    encoderFor,
+    buildEncoderArgs,
+    EncodingStream
+};
@@ -0,0 +1,227 @@
+const { EventEmitter } = require('events');
+const { levelDb } = require('./voice-activity');
+
+const FULL_SCALE = 32767;
+
+// Noise suppression and gain control work on 20 ms blocks
+const FRAME_MS = 20;
+// How far noise suppression pulls down audio at the noise floor, in dB
+const NOISE_SUPPRESSION = { off: 0, low: 10, high: 20 };
+const NOISE_SUPPRESSION_LEVELS = Object.keys(NOISE_SUPPRESSION);
+// Audio within this many dB of the noise floor counts as noise
+const NOISE_MARGIN = 8;
+// The floor follows quiet moments at once and louder ones slowly (1 dB/s)
+const FLOOR_RISE_DB = 0.02;
+const INITIAL_FLOOR_DB = -60;
+// Gain control brings speech to this level, adding at most MAX_AUTO_GAIN dB;
+// it backs off quickly and builds up slowly (5 dB/s) so pauses don't pump up noise
+const AUTO_GAIN_TARGET = -20;
+const MAX_AUTO_GAIN = 24;
+const AUTO_GAIN_RISE_DB = 0.1;
+const AUTO_GAIN_FALL_DB = 1;
+
+// Level meter: how often it reports, how long a clip stays flagged, and what
+// counts as too quiet
+const METER_INTERVAL_MS = 100;
+const CLIPPING_HOLD_MS = 1000;
+const QUIET_WINDOW_MS = 5000;
+const QUIET_DB = -42;
+
+const dbToGain = db => Math.pow(10, db / 20);
+
+// Second-order high-pass (RBJ cookbook, Butterworth Q) coefficients
+function highPassCoefficients(cutoff, sampleRate) {
+    const w0 = (2 * Math.PI * cutoff) / sampleRate;
+    const cos = Math.cos(w0);
+    const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+    const a0 = 1 + alpha;
+    return {
+        b0: (1 + cos) / 2 / a0,
+        b1: -(1 + cos) / a0,
+        b2: (1 + cos) / 2 / a0,
+        a1: (-2 * cos) / a0,
+        a2: (1 - alpha) / a0
+    };
+}
+
+// Cleans up captured 16-bit PCM before it is recognized, in this order: input
+// gain, a high-pass filter against rumble and handling noise, noise suppression
+// (audio near the noise floor is turned down) and automatic gain control.
+// Interleaved channels are filtered separately but share one gain. Reads can
+// end mid-sample, so only whole frames (a sample per channel) go out and the
+// rest waits for the next chunk.
+class AudioProcessor {
+    constructor({ sampleRate, channels = 1, gain = 0, highPass = 0, noiseSuppression = 'off', autoGain = false }) {
+        this.channels = channels;
+        this.bytesPerFrame = 2 * channels;
+        this.pending = Buffer.alloc(0);
+        this.frameSamples = Math.round((sampleRate * FRAME_MS) / 1000) * channels;
+        this.inputGain = dbToGain(gain);
+        this.filter = highPass > 0 ? highPassCoefficients(highPass, sampleRate) : null;
+        this.filterState = Array.from({ length: channels }, () => ({ x1: 0, x2: 0, y1: 0, y2: 0 }));
+        this.suppression = NOISE_SUPPRESSION[noiseSuppression] || 0;
+        this.autoGain = autoGain;
+
+        this.noiseFloor = INITIAL_FLOOR_DB;
+        this.autoGainDb = 0;
+        this.gain = 1;   // Applied at the end of the last block
+    }
+
+    get active() {
+        return this.inputGain !== 1 || this.filter !== null || this.suppression > 0 || this.autoGain;
+    }
+
+    // { audio, clipped }: the processed PCM and how many input samples were at full scale
+    process(input) {
+        const data = this.pending.length > 0 ? Buffer.concat([this.pending, input]) : input;
+        const whole = data.length - (data.length % this.bytesPerFrame);
+        // Copied, so the remainder doesn't hold on to the whole chunk
+        this.pending = Buffer.from(data.subarray(whole));
+        const chunk = data.subarray(0, whole);
+
+        // Every chunk starts on a frame, so sample i belongs to channel i % channels
+        const samples = whole / 2;
+        let clipped = 0;
+        for (let i = 0; i < samples; i++) {
+            const sample = chunk.readInt16LE(i * 2);
+            if (sample >= FULL_SCALE || sample <= -FULL_SCALE) clipped++;
+        }
+        if (!this.active) {
+            return { audio: chunk, clipped };
+        }
+
+        const signal = new Float32Array(samples);
+        for (let i = 0; i < samples; i++) {
+            signal[i] = this.filterSample(chunk.readInt16LE(i * 2) * this.inputGain, i % this.channels);
+        }
+
+        const audio = Buffer.alloc(samples * 2);
+        for (let start = 0; start < samples; start += this.frameSamples) {
+            const end = Math.min(samples, start + this.frameSamples);
+            this.applyGain(signal, start, end, this.blockGain(signal, start, end), audio);
+        }
+        return { audio, clipped };
+    }
+
+    filterSample(x, channel) {
+        if (!this.filter) return x;
+
+        const { b0, b1, b2, a1, a2 } = this.filter;
+        const state = this.filterState[channel];
+        const y = b0 * x + b1 * state.x1 + b2 * state.x2 - a1 * state.y1 - a2 * state.y2;
+        state.x2 = state.x1;
+        state.x1 = x;
+        state.y2 = state.y1;
+        state.y1 = y;
+        return y;
+    }
+
+    // Gain for one block, from its level against the noise floor
+    blockGain(signal, start, end) {
+        let sum = 0;
+        let peak = 0;
+        for (let i = start; i < end; i++) {
+            sum += signal[i] * signal[i];
+            peak = Math.max(peak, Math.abs(signal[i]));
+        }
+        const level = 10 * Math.log10(sum / (end - start) / (FULL_SCALE * FULL_SCALE) || 1e-10);
+
+        this.noiseFloor = level < this.noiseFloor ? level : this.noiseFloor + FLOOR_RISE_DB;
+        const aboveFloor = level - this.noiseFloor;
+
+        let gainDb = 0;
+        if (this.suppression > 0 && aboveFloor < NOISE_MARGIN) {
+            gainDb -= this.suppression * (1 - aboveFloor / NOISE_MARGIN);
+        }
+        if (this.autoGain) {
+            // Only speech moves the gain
+            if (aboveFloor >= NOISE_MARGIN) {
+                const wanted = Math.min(MAX_AUTO_GAIN, AUTO_GAIN_TARGET - level);
+                this.autoGainDb = wanted < this.autoGainDb
+                    ? Math.max(wanted, this.autoGainDb - AUTO_GAIN_FALL_DB)
+                    : Math.min(wanted, this.autoGainDb + AUTO_GAIN_RISE_DB);
+            }
+            gainDb += this.autoGainDb;
+        }
+
+        // Never turn a block up past full scale
+        const gain = dbToGain(gainDb);
+        return peak > 0 ? Math.min(gain, FULL_SCALE / peak) : gain;
+    }
+
+    // Ramps from the previous block's gain so changes don't click
+    applyGain(signal, start, end, gain, audio) {
+        const from = this.gain;
+        const length = end - start;
+        for (let i = start; i < end; i++) {
+            const g = from + ((gain - from) * (i - start + 1)) / length;
+            const sample = Math.round(signal[i] * g);
+            audio.writeInt16LE(Math.max(-FULL_SCALE - 1, Math.min(FULL_SCALE, sample)), i * 2);
+        }
+        this.gain = gain;
+    }
+}
+
+// Reports the level of processed audio a few times a second as { level, peak }
+// in dBFS, with warnings: clipping when the input recently hit full scale, quiet
+// when nothing in the last few seconds came near speech level.
+class LevelMeter extends EventEmitter {
+    constructor({ sampleRate, channels = 1 }) {
+        super();
+        this.bytesPerMs = (sampleRate * 2 * channels) / 1000;
+        this.intervalBytes = Math.round((sampleRate * METER_INTERVAL_MS) / 1000) * 2 * channels;
+        this.parts = [];
+        this.bytes = 0;
+        this.clipped = 0;
+        this.lastClipMs = -Infinity;
+        this.recent = [];   // Levels and durations of the last QUIET_WINDOW_MS
+        this.recentMs = 0;
+        this.elapsedMs = 0;
+    }
+
+    push(audio, clipped = 0) {
+        this.parts.push(audio);
+        this.bytes += audio.length;
+        this.clipped += clipped;
+        if (this.bytes >= this.intervalBytes) {
+            this.report(Buffer.concat(this.parts));
+            this.parts = [];
+            this.bytes = 0;
+        }
+    }
+
+    report(audio) {
+        // Reads can be longer than the interval, so time goes by the audio itself
+        const ms = audio.length / this.bytesPerMs;
+        this.elapsedMs += ms;
+        if (this.clipped > 0) {
+            this.lastClipMs = this.elapsedMs;
+            this.clipped = 0;
+        }
+
+        let peak = 0;
+        for (let i = 0; i + 1 < audio.length; i += 2) {
+            peak = Math.max(peak, Math.abs(audio.readInt16LE(i)));
+        }
+        const level = levelDb(audio);
+
+        this.recent.push({ level, ms });
+        this.recentMs += ms;
+        while (this.recentMs - this.recent[0].ms >= QUIET_WINDOW_MS) {
+            this.recentMs -= this.recent.shift().ms;
+        }
+
+        this.emit('level', {
+            level: Number.isFinite(level) ? Math.round(level) : null,
+            peak: peak > 0 ? Math.round(20 * Math.log10(peak / FULL_SCALE)) : null,
+            clipping: this.elapsedMs - this.lastClipMs <= CLIPPING_HOLD_MS,
+            quiet: this.recentMs >= QUIET_WINDOW_MS && Math.max(...this.recent.map(entry => entry.level)) < QUIET_DB
+        });
+    }
+}
+
+module.exports = {
+    NOISE_SUPPRESSION_LEVELS,
+    AudioProcessor,
+    LevelMeter
+};
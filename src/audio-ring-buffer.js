@@ -0,0 +1,63 @@
+// Keeps recently captured PCM so audio the recognizer hasn't acknowledged
+// with a final result can be replayed into a fresh stream after a restart.
+// Times are ms of audio since capture started.
+class AudioRingBuffer {
+    constructor({ sampleRate, channels = 1, maxMs = 60000 }) {
+        this.frameBytes = 2 * channels;
+        this.bytesPerMs = (sampleRate * this.frameBytes) / 1000;
+        this.maxBytes = Math.round(maxMs * this.bytesPerMs);
+        this.chunks = [];
+        this.startByte = 0;   // absolute offset of the first buffered byte
+        this.totalBytes = 0;  // everything ever pushed
+    }
+
+    get endMs() {
+        return this.totalBytes / this.bytesPerMs;
+    }
+
+    get startMs() {
+        return this.startByte / this.bytesPerMs;
+    }
+
+    push(chunk) {
+        this.chunks.push(chunk);
+        this.totalBytes += chunk.length;
+
+        // Drop whole chunks once over capacity
+        while (this.chunks.length > 1 && this.totalBytes - this.startByte - this.chunks[0].length >= this.maxBytes) {
+            this.startByte += this.chunks.shift().length;
+        }
+    }
+
+    toByte(ms) {
+        const byte = Math.round(ms * this.bytesPerMs);
+        return byte - (byte % this.frameBytes);
+    }
+
+    // Audio from `ms` up to now, or from the oldest audio still buffered
+    since(ms) {
+        const from = Math.max(this.startByte, Math.min(this.toByte(ms), this.totalBytes));
+        let offset = this.startByte;
+        const parts = [];
+
+        this.chunks.forEach(chunk => {
+            const end = offset + chunk.length;
+            if (end > from) {
+                parts.push(offset >= from ? chunk : chunk.subarray(from - offset));
+            }
+            offset = end;
+        });
+
+        return { audio: Buffer.concat(parts), startMs: from / this.bytesPerMs };
+    }
+
+    // Forget audio that has been acknowledged
+    discardBefore(ms) {
+        const until = Math.min(this.toByte(ms), this.totalBytes);
+        while (this.chunks.length > 0 && this.startByte + this.chunks[0].length <= until) {
+            this.startByte += this.chunks.shift().length;
+        }
+    }
+}
+
+module.exports = AudioRingBuffer;
@@ -0,0 +1,217 @@
+const speech = require('@google-cloud/speech');
+const { toSpeechContexts } = require('../vocabulary');
+const { matchLanguage } = require('../languages');
+const { clientOptions, speechEndpoint, describeError } = require('../google-cloud');
+
+// Durations come back as { seconds, nanos }, seconds possibly a string or Long
+function toMs(duration) {
+    if (!duration) return 0;
+    const seconds = duration.seconds && typeof duration.seconds === 'object' && duration.seconds.toNumber
+        ? duration.seconds.toNumber()
+        : Number(duration.seconds || 0);
+    return seconds * 1000 + Math.round((duration.nanos || 0) / 1e6);
+}
+
+// gRPC status codes
+const DEADLINE_EXCEEDED = 4;
+const ABORTED = 10;
+const OUT_OF_RANGE = 11;
+const INTERNAL = 13;
+const UNAVAILABLE = 14;
+
+// Our encoding names and Google's
+const ENCODINGS = {
+    'linear16': 'LINEAR16',
+    'flac': 'FLAC',
+    'ogg-opus': 'OGG_OPUS'
+};
+
+// How long the connection check waits for an answer
+const CHECK_TIMEOUT_MS = 15000;
+
+// Group consecutive words by speaker tag into { speaker, text, startMs, endMs, words } turns
+function speakerTurns(words) {
+    const turns = [];
+
+    words.forEach(word => {
+        const last = turns[turns.length - 1];
+        if (last && last.speaker === word.speakerTag) {
+            last.text += ' ' + word.word;
+            last.endMs = word.endMs;
+            last.words.push(word);
+        } else {
+            turns.push({ speaker: word.speakerTag, text: word.word, startMs: word.startMs, endMs: word.endMs, words: [word] });
+        }
+    });
+
+    return turns;
+}
+
+// Google Cloud Speech-to-Text streaming backend. options.cloud holds the
+// connection settings (see google-cloud.js); without them the client falls
+// back to Application Default Credentials and the default endpoint.
+class GoogleSpeechBackend {
+    constructor(options = {}) {
+        this.options = options;
+        this.cloud = options.cloud || {};
+
+        try {
+            const grpc = require('@grpc/grpc-js');
+            const settings = {
+                fallback: false,
+                grpc,
+                ...clientOptions(this.cloud)
+            };
+
+            const endpoint = speechEndpoint(this.cloud);
+            if (endpoint) {
+                settings.apiEndpoint = endpoint.host;
+                if (endpoint.port) {
+                    settings.port = endpoint.port;
+                }
+                if (endpoint.insecure) {
+                    settings.sslCreds = grpc.credentials.createInsecure();
+                }
+            }
+
+            // Only v1p1beta1 takes alternative languages and reports which one it heard
+            this.client = new speech.v1p1beta1.SpeechClient(settings);
+        } catch (error) {
+            throw new Error(`Google Cloud Speech could not be set up: ${error.message}`);
+        }
+    }
+
+    createStream(config) {
+        const diarization = Boolean(config.diarization);
+        const alternatives = config.alternativeLanguages || [];
+        const languages = [config.languageCode, ...alternatives];
+        const request = {
+            config: {
+                encoding: ENCODINGS[config.encoding] || ENCODINGS.linear16,
+                sampleRateHertz: config.sampleRateHertz,
+                languageCode: config.languageCode,
+                ...(alternatives.length > 0 ? { alternativeLanguageCodes: alternatives } : {}),
+                enableAutomaticPunctuation: config.automaticPunctuation !== false,
+                enableWordTimeOffsets: true,
+                enableWordConfidence: true,
+                model: config.model || 'default',
+                useEnhanced: Boolean(config.enhanced),
+                audioChannelCount: config.channels || 1,
+                enableSeparateRecognitionPerChannel: (config.channels || 1) > 1,
+                profanityFilter: Boolean(config.profanityFilter),
+                // Saying "comma" or "smiley face" writes the symbol
+                ...(config.spokenPunctuation ? { enableSpokenPunctuation: { value: true } } : {}),
+                ...(config.spokenEmojis ? { enableSpokenEmojis: { value: true } } : {}),
+                ...(config.phrases && config.phrases.length > 0 ? {
+                    speechContexts: toSpeechContexts(config.phrases)
+                } : {}),
+                ...(diarization ? {
+                    diarizationConfig: {
+                        enableSpeakerDiarization: true,
+                        minSpeakerCount: 1,
+                        maxSpeakerCount: 6
+                    }
+                } : {})
+            },
+            interimResults: config.interimResults !== false
+        };
+
+        const stream = this.client.streamingRecognize(request);
+
+        // Normalize responses into the shared result shape
+        stream.on('data', (data) => {
+            if (data.results && data.results.length > 0) {
+                const result = data.results[0];
+                if (result.alternatives && result.alternatives.length > 0) {
+                    const alternative = result.alternatives[0];
+                    const normalized = {
+                        transcript: alternative.transcript,
+                        confidence: alternative.confidence || 0,
+                        isFinal: result.isFinal,
+                        resultEndMs: toMs(result.resultEndTime),
+                        language: matchLanguage(result.languageCode, languages) || config.languageCode
+                    };
+                    if (result.channelTag) {
+                        normalized.channel = result.channelTag;
+                    }
+
+                    // Word details only come with finals. Diarized finals may carry
+                    // every word so far; keep this result's tail
+                    if (result.isFinal && alternative.words && alternative.words.length > 0) {
+                        const count = alternative.transcript.trim().split(/\s+/).length;
+                        const words = (diarization ? alternative.words.slice(-count) : alternative.words).map(word => ({
+                            word: word.word,
+                            confidence: typeof word.confidence === 'number' ? word.confidence : null,
+                            speakerTag: word.speakerTag || null,
+                            startMs: toMs(word.startTime),
+                            endMs: toMs(word.endTime)
+                        }));
+
+                        normalized.words = words;
+                        if (words.some(word => word.speakerTag)) {
+                            normalized.speakers = speakerTurns(words);
+                        }
+                    }
+
+                    stream.emit('result', normalized);
+                }
+            }
+        });
+
+        return stream;
+    }
+}
+
+// Stream time limits just need a new stream; network trouble needs backing off
+GoogleSpeechBackend.classifyError = (error) => {
+    const message = error.message || '';
+    if (error.code === DEADLINE_EXCEEDED || error.code === OUT_OF_RANGE || /deadline|maximum allowed stream duration/i.test(message)) {
+        return 'restart';
+    }
+    if ([ABORTED, INTERNAL, UNAVAILABLE].includes(error.code) || /ECONNRESET|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up/i.test(message)) {
+        return 'transient';
+    }
+    return 'fatal';
+};
+
+GoogleSpeechBackend.describeError = (error) => describeError(error, {
+    service: 'Speech-to-Text',
+    api: 'speech.googleapis.com'
+});
+
+// Recognize a moment of silence, which proves credentials, project, API and
+// endpoint all work without needing a microphone
+GoogleSpeechBackend.checkConnection = async (options = {}, languageCode = 'en-US') => {
+    const backend = new GoogleSpeechBackend(options);
+    const endpoint = speechEndpoint(backend.cloud);
+    try {
+        await backend.client.recognize({
+            config: { encoding: 'LINEAR16', sampleRateHertz: 16000, languageCode },
+            audio: { content: Buffer.alloc(3200) }   // 100 ms
+        }, { timeout: CHECK_TIMEOUT_MS, retry: null });
+    } catch (error) {
+        throw new Error(GoogleSpeechBackend.describeError(error));
+    } finally {
+        backend.client.close();
+    }
+    return `Connected to Speech-to-Text at ${endpoint ? endpoint.host : 'speech.googleapis.com'}`;
+};
+
+GoogleSpeechBackend.id = 'google';
+GoogleSpeechBackend.label = 'Google Cloud';
+GoogleSpeechBackend.offline = false;
+GoogleSpeechBackend.supportsDiarization = true;
+GoogleSpeechBackend.supportsMultichannel = true;
+GoogleSpeechBackend.supportsPhraseHints = true;
+GoogleSpeechBackend.supportsWordConfidence = true;
+GoogleSpeechBackend.supportsLanguageDetection = true;
+GoogleSpeechBackend.supportsModels = true;
+GoogleSpeechBackend.supportsPunctuation = true;
+GoogleSpeechBackend.supportsProfanityFilter = true;
+GoogleSpeechBackend.encodings = Object.keys(ENCODINGS);
+// Streaming recognition rejects audio sent much faster than real time
+GoogleSpeechBackend.realtimeInput = true;
+// Streaming sessions are capped at ~5 minutes, refresh after 3:50
+GoogleSpeechBackend.streamingLimit = 230000;
+
+module.exports = GoogleSpeechBackend;
@@ -0,0 +1,82 @@
+const GoogleSpeechBackend = require('./google');
+const VoskBackend = require('./vosk');
+
+// Speech backends share a small contract:
+//   new Backend(options)       throws if the engine is not usable
+//   backend.createStream(cfg)  returns a writable stream for audio in cfg.encoding
+//                              ({ languageCode, alternativeLanguages, sampleRateHertz,
+//                              encoding, channels, diarization, phrases, model, enhanced,
+//                              automaticPunctuation, profanityFilter, spokenPunctuation,
+//                              spokenEmojis, interimResults }) that emits 'result',
+//                              'error' and 'end'. Results look like { transcript,
+//                              confidence, isFinal, channel, language (the one heard),
+//                              resultEndMs (audio time since the stream began) } and
+//                              finals may add words ({ word, confidence, startMs, endMs })
+//                              and speakers ({ speaker, text, words } turns)
+//   Backend.streamingLimit     ms before the stream must be refreshed (0 = never)
+//   Backend.realtimeInput      whether file audio must be paced at real time
+//   Backend.classifyError(err) 'restart' (open a new stream now), 'transient'
+//                              (reconnect with backoff) or 'fatal'
+//   Backend.describeError(err) optional, what to tell the user about a fatal error
+//   Backend.checkConnection(options, languageCode)
+//                              resolves to a message once the engine answers,
+//                              rejects with what is wrong otherwise
+//   Backend.supportsDiarization  whether speaker tags can be produced
+//   Backend.supportsMultichannel whether channels > 1 are recognized separately
+//   Backend.supportsPhraseHints  whether phrases ({ phrase, boost }) bias recognition
+//   Backend.supportsWordConfidence whether finals carry a confidence per word
+//   Backend.supportsLanguageDetection whether alternativeLanguages are listened for
+//   Backend.supportsModels     whether model and enhanced pick the recognition model
+//   Backend.supportsPunctuation whether automatic and spoken punctuation (and emoji) apply
+//   Backend.supportsProfanityFilter whether profanity can be masked ("f***")
+//   Backend.encodings          audio encodings the stream takes: 'linear16' (16-bit
+//                              PCM), 'flac', 'ogg-opus'; see audio-encoder.js
+const backends = {
+    [GoogleSpeechBackend.id]: GoogleSpeechBackend,
+    [VoskBackend.id]: VoskBackend
+};
+
+const DEFAULT_BACKEND = GoogleSpeechBackend.id;
+
+function getBackend(id) {
+    const Backend = backends[id || DEFAULT_BACKEND];
+    if (!Backend) {
+        throw new Error(`Unknown speech backend: ${id}`);
+    }
+    return Backend;
+}
+
+function createBackend(id, options = {}) {
+    const Backend = getBackend(id);
+    return new Backend(options);
+}
+
+// Adds an engine that follows the contract above, e.g. a stand-in for tests
+function registerBackend(Backend) {
+    backends[Backend.id] = Backend;
+}
+
+function listBackends() {
+    return Object.values(backends).map(Backend => ({
+        id: Backend.id,
+        label: Backend.label,
+        offline: Backend.offline,
+        supportsDiarization: Backend.supportsDiarization,
+        supportsMultichannel: Backend.supportsMultichannel,
+        supportsPhraseHints: Backend.supportsPhraseHints,
+        supportsWordConfidence: Backend.supportsWordConfidence,
+        supportsLanguageDetection: Backend.supportsLanguageDetection,
+        supportsModels: Backend.supportsModels,
+        supportsPunctuation: Backend.supportsPunctuation,
+        supportsProfanityFilter: Backend.supportsProfanityFilter,
+        encodings: Backend.encodings
+    }));
+}
+
+module.exports = {
+    DEFAULT_BACKEND,
+    getBackend,
+    createBackend,
+    registerBackend,
+    listBackends
+};
@@ -0,0 +1,200 @@
+const { Writable } = require('stream');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Loaded models are expensive, keep them around for the lifetime of the process
+const modelCache = new Map();
+
+function loadVosk() {
+    try {
+        const vosk = require('vosk');
+        vosk.setLogLevel(-1);
+        return vosk;
+    } catch (error) {
+        throw new Error('Offline engine is not installed. Please run: npm install vosk');
+    }
+}
+
+// Models live in ~/.unmarketable-tomato/models/<languageCode>, or VOSK_MODEL_PATH
+function resolveModelPath(languageCode, modelPath) {
+    const candidates = [
+        modelPath,
+        path.join(os.homedir(), '.unmarketable-tomato', 'models', languageCode),
+        path.join(os.homedir(), '.unmarketable-tomato', 'models', languageCode.split('-')[0]),
+        process.env.VOSK_MODEL_PATH
+    ].filter(Boolean);
+
+    return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+// Recognized words and their average confidence from a Vosk result
+function toFinal(result) {
+    if (!result || !result.text) return null;
+
+    const words = (result.result || []).map(word => ({
+        word: word.word,
+        confidence: word.conf,
+        startMs: Math.round(word.start * 1000),
+        endMs: Math.round(word.end * 1000)
+    }));
+    const confidence = words.length > 0
+        ? words.reduce((sum, word) => sum + word.confidence, 0) / words.length
+        : 0;
+
+    return { transcript: result.text, confidence, words };
+}
+
+// Vosk can't tell languages apart, so with alternatives every language's model
+// hears the same audio and the most confident final wins. Interims follow the
+// language of the last final.
+class VoskStream extends Writable {
+    constructor(recognizers, sampleRate, interimResults = true) {
+        super();
+        this.recognizers = recognizers;   // [{ language, recognizer }], main language first
+        this.current = recognizers[0];
+        this.sampleRate = sampleRate;
+        this.interimResults = interimResults;
+        this.bytes = 0;
+        this.lastPartial = '';
+    }
+
+    _write(chunk, encoding, callback) {
+        try {
+            this.bytes += chunk.length;
+            const ended = this.recognizers.filter(entry => entry.recognizer.acceptWaveform(chunk));
+            if (ended.length > 0) {
+                // One recognizer reaching the end of an utterance ends it for all of them
+                this.emitFinal(this.recognizers.map(entry => ({
+                    language: entry.language,
+                    result: ended.includes(entry) ? entry.recognizer.result() : entry.recognizer.finalResult()
+                })));
+            } else if (this.interimResults) {
+                const { partial } = this.current.recognizer.partialResult();
+                if (partial && partial !== this.lastPartial) {
+                    this.lastPartial = partial;
+                    this.emit('result', {
+                        transcript: partial,
+                        confidence: 0,
+                        isFinal: false,
+                        resultEndMs: this.audioMs(),
+                        language: this.current.language
+                    });
+                }
+            }
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _final(callback) {
+        try {
+            this.emitFinal(this.recognizers.map(entry => ({ language: entry.language, result: entry.recognizer.finalResult() })));
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _destroy(error, callback) {
+        this.recognizers.forEach(entry => entry.recognizer.free());
+        this.recognizers = [];
+        callback(error);
+    }
+
+    emitFinal(results) {
+        this.lastPartial = '';
+        const finals = results
+            .map(({ language, result }) => ({ language, final: toFinal(result) }))
+            .filter(({ final }) => final);
+        if (finals.length === 0) return;
+
+        const best = finals.reduce((a, b) => b.final.confidence > a.final.confidence ? b : a);
+        this.current = this.recognizers.find(entry => entry.language === best.language) || this.current;
+        this.emit('result', { ...best.final, isFinal: true, resultEndMs: this.audioMs(), language: best.language });
+    }
+
+    audioMs() {
+        return (this.bytes / 2 / this.sampleRate) * 1000;
+    }
+}
+
+// Offline backend running a local Vosk (Kaldi) model on plain PCM. The model
+// decides the vocabulary and punctuation, so only interim results are optional.
+class VoskBackend {
+    constructor(options = {}) {
+        this.vosk = loadVosk();
+        this.options = options;
+    }
+
+    modelPath(languageCode) {
+        const modelPath = resolveModelPath(languageCode, this.options.modelPath);
+        if (!modelPath) {
+            throw new Error(`No offline model found for ${languageCode}. Download a Vosk model into ~/.unmarketable-tomato/models/${languageCode}`);
+        }
+        return modelPath;
+    }
+
+    getModel(languageCode) {
+        const modelPath = this.modelPath(languageCode);
+        if (!modelCache.has(modelPath)) {
+            modelCache.set(modelPath, new this.vosk.Model(modelPath));
+        }
+        return modelCache.get(modelPath);
+    }
+
+    createStream(config) {
+        const languages = [config.languageCode, ...(config.alternativeLanguages || [])];
+        const recognizers = [];
+        try {
+            languages.forEach(language => {
+                const recognizer = new this.vosk.Recognizer({
+                    model: this.getModel(language),
+                    sampleRate: config.sampleRateHertz
+                });
+                recognizer.setWords(true);
+                recognizers.push({ language, recognizer });
+            });
+        } catch (error) {
+            recognizers.forEach(entry => entry.recognizer.free());
+            throw error;
+        }
+
+        const stream = new VoskStream(recognizers, config.sampleRateHertz, config.interimResults !== false);
+        // Results are delivered synchronously, so finishing means we're done
+        stream.on('finish', () => {
+            stream.emit('end');
+            stream.destroy();
+        });
+        return stream;
+    }
+}
+
+// Local failures won't fix themselves by reconnecting
+VoskBackend.classifyError = () => 'fatal';
+
+// Nothing to connect to; make sure the engine and a model are there
+VoskBackend.checkConnection = async (options = {}, languageCode = 'en-US') => {
+    const modelPath = new VoskBackend(options).modelPath(languageCode);
+    return `Offline engine ready with the model in ${modelPath}`;
+};
+
+VoskBackend.id = 'vosk';
+VoskBackend.label = 'Offline (Vosk)';
+VoskBackend.offline = true;
+VoskBackend.supportsDiarization = false;
+VoskBackend.supportsMultichannel = false;
+VoskBackend.supportsPhraseHints = false;
+VoskBackend.supportsWordConfidence = true;
+// By running a model per language, which costs CPU for each one
+VoskBackend.supportsLanguageDetection = true;
+VoskBackend.supportsModels = false;
+VoskBackend.supportsPunctuation = false;
+VoskBackend.supportsProfanityFilter = false;
+VoskBackend.encodings = ['linear16'];
+// Local recognition has no session limit and takes audio as fast as it can decode
+VoskBackend.streamingLimit = 0;
+VoskBackend.realtimeInput = false;
+
+module.exports = VoskBackend;
@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+
+// Dependency-free modules that pages share with the main process. Pages can't
+// require() them, so they are served wrapped and their exports end up in
+// window.modules, e.g. window.modules['caption-style'].
+const BROWSER_MODULES = ['caption-buffer', 'caption-style', 'word-confidence', 'languages', 'timecode', 'vocabulary', 'profanity'];
+
+function wrapModule(name, source) {
+    return `(function () {\nvar module = { exports: {} };\n${source}\nwindow.modules = window.modules || {};\nwindow.modules[${JSON.stringify(name)}] = module.exports;\n})();\n`;
+}
+
+// Resolves to the wrapped script, or null for anything that isn't a shared module
+async function loadBrowserModule(name) {
+    if (!BROWSER_MODULES.includes(name)) {
+        return null;
+    }
+    const source = await fs.promises.readFile(path.join(__dirname, `${name}.js`), 'utf8');
+    return wrapModule(name, source);
+}
+
+module.exports = {
+    BROWSER_MODULES,
+    loadBrowserModule
+};
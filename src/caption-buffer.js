@@ -0,0 +1,192 @@
+// Rolling caption display, modelled on broadcast (CEA-608) caption styles:
+//   roll-up  recent finals stay on screen and scroll up as the interim line grows
+//   pop-on   each final appears as a complete block, long finals in several blocks
+const CAPTION_MODES = ['roll-up', 'pop-on'];
+
+// Words of a caption as { text, confidence }; confidence is null where unknown
+function tokenize(text, confidences = null) {
+    return text.trim().split(/\s+/).filter(Boolean).map((word, i) => ({
+        text: word,
+        confidence: confidences && typeof confidences[i] === 'number' ? confidences[i] : null
+    }));
+}
+
+// Break words into lines of at most maxChars, on word boundaries where possible
+function wrapWords(words, maxChars) {
+    const lines = [];
+    let line = [];
+    let length = 0;
+
+    words.forEach(({ text, confidence }) => {
+        // Words longer than a whole line get hard-split
+        while (text.length > maxChars) {
+            if (line.length > 0) {
+                lines.push(line);
+                line = [];
+                length = 0;
+            }
+            lines.push([{ text: text.slice(0, maxChars), confidence }]);
+            text = text.slice(maxChars);
+        }
+
+        if (line.length === 0) {
+            line = [{ text, confidence }];
+            length = text.length;
+        } else if (length + 1 + text.length <= maxChars) {
+            line.push({ text, confidence });
+            length += 1 + text.length;
+        } else {
+            lines.push(line);
+            line = [{ text, confidence }];
+            length = text.length;
+        }
+    });
+
+    if (line.length > 0) lines.push(line);
+    return lines;
+}
+
+function lineText(words) {
+    return words.map(word => word.text).join(' ');
+}
+
+function wrapText(text, maxChars) {
+    return wrapWords(tokenize(text), maxChars).map(lineText);
+}
+
+// Split words into blocks of at most maxLines lines, preferring sentence breaks
+function chunkWords(words, maxChars, maxLines) {
+    const sentences = [];
+    let sentence = [];
+    words.forEach(word => {
+        sentence.push(word);
+        if (/[.!?。！？]$/.test(word.text)) {
+            sentences.push(sentence);
+            sentence = [];
+        }
+    });
+    if (sentence.length > 0) sentences.push(sentence);
+
+    const blocks = [];
+    let block = [];
+
+    sentences.forEach(sentenceWords => {
+        const lines = wrapWords(sentenceWords, maxChars);
+
+        // Keep short sentences together if they fit in the current block
+        if (block.length > 0 && block.length + lines.length > maxLines) {
+            blocks.push(block);
+            block = [];
+        }
+
+        lines.forEach(line => {
+            if (block.length === maxLines) {
+                blocks.push(block);
+                block = [];
+            }
+            block.push(line);
+        });
+    });
+
+    if (block.length > 0) blocks.push(block);
+    return blocks;
+}
+
+function chunkText(text, maxChars, maxLines) {
+    return chunkWords(tokenize(text), maxChars, maxLines).map(block => block.map(lineText));
+}
+
+// A display line; words are only kept when there are confidences to show
+function toLine(words, speaker) {
+    const line = { text: lineText(words), speaker };
+    if (words.some(word => word.confidence !== null)) {
+        line.words = words;
+    }
+    return line;
+}
+
+class CaptionBuffer {
+    constructor(options = {}) {
+        this.maxLines = 2;
+        this.lineLength = 42;
+        this.mode = 'roll-up';
+        this.configure(options);
+        this.clear();
+    }
+
+    configure({ maxLines, lineLength, mode } = {}) {
+        if (maxLines) this.maxLines = Math.max(1, Math.round(maxLines));
+        if (lineLength) this.lineLength = Math.max(10, Math.round(lineLength));
+        if (CAPTION_MODES.includes(mode)) this.mode = mode;
+    }
+
+    clear() {
+        this.finalLines = [];
+        // In-progress lines per audio channel, mixed sources recognize both at once
+        this.interims = new Map();
+        this.blocks = [];
+        this.currentBlock = [];
+    }
+
+    setInterim(text, channel = null) {
+        if (text && text.trim()) {
+            this.interims.set(channel, wrapText(text, this.lineLength));
+        } else {
+            this.interims.delete(channel);
+        }
+    }
+
+    // Returns the number of pop-on blocks waiting to be shown. The speaker is
+    // carried along on every line of the final; confidences (one per word of
+    // text, null where unknown) end up on the lines as words.
+    pushFinal(text, speaker = null, channel = null, confidences = null) {
+        this.interims.delete(channel);
+        if (!text || !text.trim()) return this.blocks.length;
+
+        const words = tokenize(text, confidences);
+        if (this.mode === 'pop-on') {
+            chunkWords(words, this.lineLength, this.maxLines).forEach(block => {
+                this.blocks.push(block.map(line => toLine(line, speaker)));
+            });
+            if (this.currentBlock.length === 0) {
+                this.nextBlock();
+            }
+        } else {
+            this.finalLines.push(...wrapWords(words, this.lineLength).map(line => toLine(line, speaker)));
+            // Only keep what can still be shown
+            this.finalLines = this.finalLines.slice(-this.maxLines);
+        }
+        return this.blocks.length;
+    }
+
+    // Advance pop-on captions to the next queued block
+    nextBlock() {
+        if (this.blocks.length === 0) return false;
+        this.currentBlock = this.blocks.shift();
+        return true;
+    }
+
+    hasPendingBlocks() {
+        return this.blocks.length > 0;
+    }
+
+    // Lines to display, oldest first, as { text, isFinal, speaker, words? }
+    getLines() {
+        if (this.mode === 'pop-on') {
+            return this.currentBlock.map(line => ({ ...line, isFinal: true }));
+        }
+
+        const lines = [
+            ...this.finalLines.map(line => ({ ...line, isFinal: true })),
+            ...Array.from(this.interims.values()).flat().map(text => ({ text, isFinal: false, speaker: null }))
+        ];
+        return lines.slice(-this.maxLines);
+    }
+}
+
+module.exports = {
+    CaptionBuffer,
+    CAPTION_MODES,
+    wrapText,
+    chunkText
+};
@@ -0,0 +1,289 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { loadBrowserModule } = require('./browser-modules');
+
+const LOCALHOST = '127.0.0.1';
+const ALL_INTERFACES = '0.0.0.0';
+
+const DEFAULT_SERVER_SETTINGS = {
+    enabled: false,
+    port: 7878,
+    host: LOCALHOST,   // ALL_INTERFACES lets other devices connect
+    token: ''          // Empty means no token is required
+};
+
+// Finals kept for the JSON snapshot
+const SNAPSHOT_SIZE = 50;
+// Comment lines keep idle SSE connections from being dropped by proxies
+const KEEPALIVE_INTERVAL = 15000;
+
+const PAGE_FILE = path.join(__dirname, 'caption-page.html');
+
+function normalizeServerSettings(settings = {}) {
+    const port = parseInt(settings.port, 10);
+    return {
+        enabled: Boolean(settings.enabled),
+        port: port > 0 && port < 65536 ? port : DEFAULT_SERVER_SETTINGS.port,
+        host: settings.host === ALL_INTERFACES ? ALL_INTERFACES : LOCALHOST,
+        token: typeof settings.token === 'string' ? settings.token.trim() : ''
+    };
+}
+
+function generateToken() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function tokensMatch(expected, given) {
+    if (typeof given !== 'string') return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(given);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Serves captions to OBS browser sources and other devices:
+//   GET /               caption page, themeable through query parameters
+//   GET /events         Server-Sent Events stream
+//   GET /captions.json  recent finals and the current caption styles
+//   /ws                 WebSocket with the same messages as /events
+// Every message is { type: 'caption' | 'styles' | 'clear', data }, where caption
+// data is the update-caption payload the overlay receives.
+class CaptionServer {
+    constructor(settings) {
+        this.settings = normalizeServerSettings(settings);
+        this.server = null;
+        this.sockets = new WebSocketServer({ noServer: true });
+        this.eventClients = new Set();
+        this.keepAlive = null;
+        this.finals = [];
+        this.styles = null;
+    }
+
+    get running() {
+        return Boolean(this.server && this.server.listening);
+    }
+
+    // Addresses to hand out; 0.0.0.0 isn't something a browser can open
+    urls() {
+        const host = this.settings.host === ALL_INTERFACES ? lanAddress() : 'localhost';
+        const base = `http://${host}:${this.settings.port}`;
+        const query = this.settings.token ? `?token=${encodeURIComponent(this.settings.token)}` : '';
+
+        return {
+            page: `${base}/${query}`,
+            events: `${base}/events${query}`,
+            snapshot: `${base}/captions.json${query}`,
+            websocket: `ws://${host}:${this.settings.port}/ws${query}`
+        };
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            const server = http.createServer((req, res) => this.handleRequest(req, res));
+            server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+            server.once('error', reject);
+            server.listen(this.settings.port, this.settings.host, () => {
+                server.removeListener('error', reject);
+                this.server = server;
+                this.keepAlive = setInterval(() => {
+                    this.eventClients.forEach(res => res.write(': keepalive\n\n'));
+                }, KEEPALIVE_INTERVAL);
+                resolve(this.urls());
+            });
+        });
+    }
+
+    stop() {
+        clearInterval(this.keepAlive);
+        this.keepAlive = null;
+
+        this.eventClients.forEach(res => res.end());
+        this.eventClients.clear();
+        this.sockets.clients.forEach(socket => socket.terminate());
+
+        const server = this.server;
+        this.server = null;
+        return new Promise(resolve => {
+            if (!server) {
+                resolve();
+                return;
+            }
+            server.close(() => resolve());
+        });
+    }
+
+    publish(type, data) {
+        if (type === 'caption') {
+            this.recordCaption(data);
+        } else if (type === 'styles') {
+            this.styles = data;
+        }
+
+        const message = JSON.stringify({ type, data });
+        this.eventClients.forEach(res => res.write(`event: ${type}\ndata: ${message}\n\n`));
+        this.sockets.clients.forEach(socket => {
+            if (socket.readyState === socket.OPEN) {
+                socket.send(message);
+            }
+        });
+    }
+
+    recordCaption({ text, isFinal, translation, speaker, channel = null }) {
+        if (!isFinal || !text || !text.trim()) return;
+
+        // Translated finals arrive a second time with the same text
+        const last = this.finals[this.finals.length - 1];
+        if (last && last.text === text && translation !== undefined) {
+            last.translation = translation;
+            return;
+        }
+
+        this.finals.push({
+            text,
+            translation: translation || null,
+            speaker: speaker ? speaker.name : null,
+            channel,
+            time: new Date().toISOString()
+        });
+        if (this.finals.length > SNAPSHOT_SIZE) {
+            this.finals.shift();
+        }
+    }
+
+    authorized(req, url) {
+        if (!this.settings.token) return true;
+
+        const header = req.headers.authorization || '';
+        const bearer = header.startsWith('Bearer ') ? header.slice(7) : null;
+        return tokensMatch(this.settings.token, url.searchParams.get('token') || bearer);
+    }
+
+    handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method !== 'GET') {
+            res.writeHead(405, { Allow: 'GET' });
+            res.end();
+            return;
+        }
+
+        // Static code with nothing private in it
+        if (url.pathname === '/caption-buffer.js') {
+            this.sendCaptionBuffer(res);
+            return;
+        }
+
+        if (!this.authorized(req, url)) {
+            res.writeHead(401, { 'Content-Type': 'text/plain' });
+            res.end('Missing or invalid token');
+            return;
+        }
+
+        switch (url.pathname) {
+            case '/':
+                this.sendFile(res, PAGE_FILE, 'text/html; charset=utf-8');
+                break;
+            case '/events':
+                this.openEventStream(res);
+                break;
+            case '/captions.json':
+                res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+                res.end(JSON.stringify({ finals: this.finals, styles: this.styles }));
+                break;
+            default:
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Not found');
+        }
+    }
+
+    sendFile(res, file, contentType) {
+        fs.readFile(file, (error, content) => {
+            if (error) {
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+                res.end('Could not read caption page');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': contentType });
+            res.end(content);
+        });
+    }
+
+    // The page shares the overlay's line layout
+    sendCaptionBuffer(res) {
+        loadBrowserModule('caption-buffer').then(source => {
+            res.writeHead(200, { 'Content-Type': 'text/javascript; charset=utf-8' });
+            res.end(source);
+        }, () => {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Could not read caption buffer');
+        });
+    }
+
+    openEventStream(res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            Connection: 'keep-alive'
+        });
+        // Let the client know it's connected before the first caption
+        res.flushHeaders();
+
+        if (this.styles) {
+            res.write(`event: styles\ndata: ${JSON.stringify({ type: 'styles', data: this.styles })}\n\n`);
+        }
+
+        this.eventClients.add(res);
+        res.on('close', () => this.eventClients.delete(res));
+    }
+
+    handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+
+        // Without a token, don't let arbitrary web pages open a socket to localhost
+        const origin = req.headers.origin;
+        const crossOrigin = origin && safeHost(origin) !== req.headers.host;
+
+        if (url.pathname !== '/ws' || !this.authorized(req, url) || (crossOrigin && !this.settings.token)) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        this.sockets.handleUpgrade(req, socket, head, (ws) => {
+            if (this.styles) {
+                ws.send(JSON.stringify({ type: 'styles', data: this.styles }));
+            }
+        });
+    }
+}
+
+function safeHost(origin) {
+    try {
+        return new URL(origin).host;
+    } catch (error) {
+        return null;
+    }
+}
+
+// First external IPv4 address, for URLs other devices can open
+function lanAddress() {
+    const interfaces = os.networkInterfaces();
+    for (const addresses of Object.values(interfaces)) {
+        const address = (addresses || []).find(a => a.family === 'IPv4' && !a.internal);
+        if (address) return address.address;
+    }
+    return 'localhost';
+}
+
+module.exports = {
+    CaptionServer,
+    DEFAULT_SERVER_SETTINGS,
+    LOCALHOST,
+    ALL_INTERFACES,
+    normalizeServerSettings,
+    generateToken
+};
@@ -0,0 +1,432 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+const SpeechRecognition = require('./speech-recognition');
+const { TranscriptStore, exportTranscript } = require('./transcript');
+const { SpeakerRegistry } = require('./speakers');
+const { Translator, createProvider } = require('./translation');
+const { parsePhraseList, parseReplacements } = require('./vocabulary');
+const { probeDuration } = require('./audio-capture');
+const { alignConfidences } = require('./word-confidence');
+const { formatTimestamp } = require('./timecode');
+const { languageLabel } = require('./languages');
+
+function createTranslator(profile, cloud) {
+    const { provider, target, libreTranslateUrl } = profile.translation;
+    if (!provider) return null;
+
+    return new Translator(createProvider(provider, { url: libreTranslateUrl || undefined, cloud }), {
+        source: profile.language,
+        target
+    });
+}
+
+function speakerView(speaker) {
+    return speaker ? { tag: String(speaker.tag), name: speaker.name, color: speaker.color } : null;
+}
+
+// Recognition, translation and the transcript, run in the main process for the
+// windows. options.cloudConfig() returns the Google Cloud connection settings
+// (see google-cloud.js) when a session starts. Captions are plain data on their
+// way to the overlay; events:
+//   'status'                  { message, type, listening, paused }
+//   'caption'                 a caption update for the overlay and caption server
+//   'show-overlay', 'hide-overlay'
+//   'entry'                   a new transcript line, as the main window shows it
+//   'transcript-clear'
+//   'speaker-added', 'speaker-renamed', 'speakers-clear'
+//   'device-fallback'         the saved microphone is gone, the default is in use
+//   'speech-activity'         { speaking, detecting } when a session starts, then as
+//                             speech starts and stops; detecting is false when silence
+//                             isn't being detected
+//   'audio-level'             { level, peak, clipping, quiet } of the cleaned-up input
+class CaptionSession extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.cloudConfig = options.cloudConfig || (() => ({}));
+
+        this.recognition = null;
+        this.listening = false;
+        this.paused = false;
+        this.status = { message: 'Ready', type: 'ready' };
+
+        this.translator = null;
+        this.translationMode = 'dual';
+        this.translationFailed = false;
+        this.lastCaption = null;
+        this.captionSequence = 0;
+        this.lastHeardLanguage = null;
+
+        // Entries are edited from the main window by id; their index shifts as lines are removed
+        this.entryIds = new Map();
+        this.nextEntryId = 1;
+
+        this.speakers = new SpeakerRegistry();
+        this.transcript = new TranscriptStore({ speakers: this.speakers });
+
+        this.transcript.on('entry', (entry) => {
+            const id = this.nextEntryId++;
+            this.entryIds.set(id, entry);
+            this.emit('entry', this.entryView(id, entry));
+        });
+        this.transcript.on('clear', () => {
+            this.entryIds.clear();
+            this.speakers.clear();
+            this.emit('transcript-clear');
+        });
+        this.speakers.on('added', speaker => this.emit('speaker-added', speakerView(speaker)));
+        this.speakers.on('renamed', speaker => this.emit('speaker-renamed', speakerView(speaker)));
+        this.speakers.on('clear', () => this.emit('speakers-clear'));
+    }
+
+    state() {
+        return { ...this.status, listening: this.listening, paused: this.paused };
+    }
+
+    setStatus(message, type) {
+        this.status = { message, type };
+        this.emit('status', this.state());
+    }
+
+    setListening(listening) {
+        this.listening = listening;
+        this.paused = false;
+    }
+
+    // Everything the main window needs to draw itself, e.g. after being reopened
+    snapshot() {
+        return {
+            status: this.state(),
+            speakers: this.speakers.list().map(speakerView),
+            entries: Array.from(this.entryIds, ([id, entry]) => this.entryView(id, entry))
+        };
+    }
+
+    entryView(id, entry) {
+        return {
+            id,
+            start: entry.start,
+            text: entry.text,
+            speaker: speakerView(this.speakers.get(entry.speaker)),
+            language: entry.language || null,
+            words: entry.words || null
+        };
+    }
+
+    // Live captions for the active profile
+    async start(profile) {
+        if (this.recognition) return;
+
+        this.setStatus('Initializing...', 'listening');
+        try {
+            const cloud = this.cloudConfig();
+            this.translator = createTranslator(profile, cloud);
+            this.translationMode = profile.translation.mode;
+            this.translationFailed = false;
+
+            // Devices are remembered by label; the recognizer matches it to a capture device
+            const recognition = new SpeechRecognition(profile.language, profile.device || null, {
+                backend: profile.backend,
+                alternativeLanguages: profile.alternativeLanguages,
+                diarization: profile.diarization,
+                audioSource: profile.audioSource,
+                phrases: parsePhraseList(profile.vocabulary.phrases),
+                replacements: parseReplacements(profile.vocabulary.replacements),
+                deviceLabel: profile.device || null,
+                recognition: profile.recognition,
+                voiceActivity: profile.voiceActivity,
+                audioProcessing: profile.audioProcessing,
+                backendOptions: { cloud }
+            });
+            this.recognition = recognition;
+
+            recognition.on('start', () => {
+                this.transcript.startSession();
+                this.lastHeardLanguage = null;
+                this.setListening(true);
+                this.setStatus('Listening for speech...', 'listening');
+                this.emit('show-overlay');
+                // Capture starts out as speech, and stays that way without detection
+                const detecting = Boolean(profile.voiceActivity && profile.voiceActivity.enabled);
+                this.emit('speech-activity', { speaking: detecting, detecting });
+            });
+
+            recognition.on('interim', (text, details = {}) => {
+                if (text && text.trim()) {
+                    this.transcript.markSpeech();
+                    this.sendCaption(text, false, { channel: details.channel, language: details.language });
+                }
+            });
+
+            recognition.on('final', (text, details = {}) => {
+                if (text && text.trim()) {
+                    const speaker = this.speakers.forResult(details);
+                    const entry = this.transcript.addFinal(text, {
+                        speaker: speaker ? speaker.tag : null,
+                        time: details.receivedAt,
+                        confidence: details.confidence,
+                        words: details.words,
+                        language: details.language
+                    });
+                    this.sendCaption(text, true, {
+                        entry,
+                        speaker,
+                        channel: details.channel,
+                        confidences: alignConfidences(text, details.words),
+                        language: details.language
+                    });
+                    this.announceLanguage(details.language);
+                }
+            });
+
+            // Lets the overlay clear once people stop talking
+            recognition.on('speech-start', () => this.emit('speech-activity', { speaking: true, detecting: true }));
+            recognition.on('speech-end', () => this.emit('speech-activity', { speaking: false, detecting: true }));
+            recognition.on('level', level => this.emit('audio-level', level));
+
+            recognition.on('device-fallback', (label) => {
+                this.setStatus(`${label || 'Selected microphone'} unavailable - using default microphone`, 'listening');
+                this.emit('device-fallback');
+            });
+
+            recognition.on('pause', () => {
+                this.paused = true;
+                this.setStatus('Paused', 'paused');
+            });
+
+            recognition.on('resume', () => {
+                this.paused = false;
+                this.setStatus('Listening for speech...', 'listening');
+            });
+
+            recognition.on('reconnecting', ({ attempt }) => {
+                this.setStatus(`Connection lost - reconnecting (attempt ${attempt})...`, 'reconnecting');
+            });
+
+            recognition.on('reconnected', () => {
+                this.setStatus('Listening for speech...', 'listening');
+            });
+
+            recognition.on('error', (error) => {
+                this.ended(recognition);
+                this.setStatus(`Error: ${error.message}`, 'error');
+                this.emit('hide-overlay');
+            });
+
+            recognition.on('stop', () => {
+                this.ended(recognition);
+                this.setStatus('Stopped', 'ready');
+                this.emit('hide-overlay');
+            });
+
+            await recognition.start();
+        } catch (error) {
+            this.recognition = null;
+            this.setListening(false);
+            this.setStatus(`Failed to start: ${error.message}`, 'error');
+        }
+    }
+
+    // Recordings go through the same recognizer, timed by their audio rather than the clock
+    async transcribeFile(profile, filePath) {
+        if (this.recognition) return;
+
+        const name = path.basename(filePath);
+        try {
+            this.setStatus(`Opening ${name}...`, 'listening');
+            const duration = await probeDuration(filePath);
+            const total = duration ? ` / ${formatTimestamp(duration).slice(0, 8)}` : '';
+
+            const recognition = new SpeechRecognition(profile.language, null, {
+                backend: profile.backend,
+                backendOptions: { cloud: this.cloudConfig() },
+                alternativeLanguages: profile.alternativeLanguages,
+                diarization: profile.diarization,
+                phrases: parsePhraseList(profile.vocabulary.phrases),
+                replacements: parseReplacements(profile.vocabulary.replacements),
+                recognition: profile.recognition,
+                voiceActivity: profile.voiceActivity,
+                audioProcessing: profile.audioProcessing,
+                source: { type: 'file', path: filePath }
+            });
+            this.recognition = recognition;
+
+            recognition.on('start', () => {
+                this.transcript.clear();
+                this.transcript.startSession();
+                this.setListening(true);
+                this.setStatus(`Transcribing ${name}...`, 'listening');
+            });
+
+            recognition.on('progress', ({ audioMs }) => {
+                this.setStatus(`Transcribing ${name}: ${formatTimestamp(audioMs).slice(0, 8)}${total}`, 'listening');
+            });
+
+            recognition.on('final', (text, details = {}) => {
+                if (text && text.trim()) {
+                    const speaker = this.speakers.forResult(details);
+                    this.transcript.addFinal(text, {
+                        speaker: speaker ? speaker.tag : null,
+                        start: details.startMs,
+                        end: details.endMs,
+                        confidence: details.confidence,
+                        words: details.words,
+                        language: details.language
+                    });
+                }
+            });
+
+            recognition.on('reconnecting', ({ attempt }) => {
+                this.setStatus(`Connection lost - reconnecting (attempt ${attempt})...`, 'reconnecting');
+            });
+
+            recognition.on('error', (error) => {
+                this.ended(recognition);
+                this.setStatus(`Error: ${error.message}`, 'error');
+            });
+
+            recognition.on('stop', () => {
+                this.ended(recognition);
+                this.setStatus(`Transcribed ${this.transcript.entries.length} captions from ${name}`, 'ready');
+            });
+
+            await recognition.start();
+        } catch (error) {
+            this.recognition = null;
+            this.setListening(false);
+            this.setStatus(`Failed to transcribe: ${error.message}`, 'error');
+        }
+    }
+
+    ended(recognition) {
+        if (recognition === this.recognition) {
+            this.recognition = null;
+        }
+        this.setListening(false);
+    }
+
+    stop() {
+        if (this.recognition) {
+            this.recognition.stop();
+        }
+    }
+
+    togglePause() {
+        if (!this.recognition || !this.listening) return;
+
+        if (this.paused) {
+            this.recognition.resume();
+        } else {
+            this.recognition.pause();
+        }
+    }
+
+    setLanguage(language, alternativeLanguages) {
+        if (this.recognition && this.listening) {
+            this.recognition.setLanguage(language, alternativeLanguages);
+        }
+    }
+
+    // The main window saw the selected microphone disappear
+    microphoneUnplugged() {
+        if (this.recognition && this.listening) {
+            this.recognition.fallbackToDefaultDevice();
+        }
+    }
+
+    // Say which language captions are following when the speakers switch
+    announceLanguage(language) {
+        if (!language || language === this.lastHeardLanguage) return;
+
+        const switched = this.lastHeardLanguage !== null;
+        this.lastHeardLanguage = language;
+        if (switched) {
+            this.setStatus(`Listening - ${languageLabel(language)}`, 'listening');
+        }
+    }
+
+    // Route results through the translation stage on their way to the overlay.
+    // confidences has one entry per word of text, for marking uncertain words;
+    // language is the one the recognizer heard.
+    async sendCaption(text, isFinal, { entry, speaker, channel = null, confidences, language } = {}) {
+        const speakerInfo = speaker ? speakerView(speaker) : undefined;
+        const translator = this.translator;
+
+        if (!translator) {
+            this.emit('caption', { text, isFinal, speaker: speakerInfo, channel, confidences, language });
+            return;
+        }
+
+        const dual = this.translationMode === 'dual';
+        const caption = { id: ++this.captionSequence, text, isFinal };
+        this.lastCaption = caption;
+
+        // Show the original right away, the translation line follows
+        if (dual) {
+            this.emit('caption', { text, isFinal, speaker: speakerInfo, channel, confidences, language });
+        }
+
+        try {
+            const translation = await translator.translate(text, isFinal, language);
+            if (translation === null) return;
+
+            if (entry) {
+                entry.translation = translation;
+            }
+
+            if (!dual) {
+                this.emit('caption', { text: translation, isFinal, speaker: speakerInfo, channel, language: translator.target });
+            } else if (this.lastCaption.id === caption.id) {
+                this.emit('caption', { text, isFinal, translation, speaker: speakerInfo, channel, confidences, language });
+            } else if (!isFinal && !this.lastCaption.isFinal) {
+                // Same utterance is still in progress, attach to the newest interim
+                this.emit('caption', { text: this.lastCaption.text, isFinal: false, translation, channel, language });
+            }
+        } catch (error) {
+            if (!this.translationFailed) {
+                this.translationFailed = true;
+                this.setStatus(`Translation failed: ${error.message}`, 'error');
+            }
+            if (!dual) {
+                this.emit('caption', { text, isFinal, speaker: speakerInfo, channel, language });
+            }
+        }
+    }
+
+    // Corrections from the main window; returns the line as now shown, or null if it was removed
+    updateEntry(id, text) {
+        const entry = this.entryIds.get(id);
+        if (!entry) return null;
+
+        this.transcript.updateEntry(entry, text);
+        if (!this.transcript.entries.includes(entry)) {
+            this.entryIds.delete(id);
+            return null;
+        }
+        return this.entryView(id, entry);
+    }
+
+    clearTranscript() {
+        this.transcript.clear();
+    }
+
+    renameSpeaker(tag, name) {
+        const speaker = this.speakers.list().find(s => String(s.tag) === tag);
+        if (speaker) {
+            this.speakers.rename(speaker.tag, name);
+        }
+    }
+
+    exportTranscript(format, metadata) {
+        if (this.transcript.entries.length === 0) {
+            throw new Error('Transcript is empty');
+        }
+        const stamp = new Date(this.transcript.sessionStart).toISOString().slice(0, 19).replace(/[T:]/g, '-');
+        return {
+            ...exportTranscript(this.transcript, format, metadata),
+            defaultName: `transcript-${stamp}`
+        };
+    }
+}
+
+module.exports = CaptionSession;
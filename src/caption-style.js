@@ -0,0 +1,242 @@
+// Turns a caption style (as kept in a profile) into CSS, shared by the overlay
+// and the preview in the main window
+
+// Style fields that presets carry; layout (mode, lines, speaker labels) stays with the profile
+const APPEARANCE_KEYS = [
+    'bgColor', 'textColor', 'fontSize', 'fontFamily', 'fontWeight', 'opacity', 'glassmorphic',
+    'outlineWidth', 'outlineColor', 'shadowColor', 'shadowOffset', 'shadowBlur',
+    'letterSpacing', 'lineHeight', 'maxWidth', 'textAlign', 'paddingX', 'paddingY', 'cornerRadius'
+];
+
+// Rough width of an average character relative to the font size
+const CHAR_WIDTH = 0.55;
+
+// Captions float over whatever is on screen; contrast is judged against both extremes
+const BACKDROPS = [[0, 0, 0], [255, 255, 255]];
+
+// Solid white on black, no effects that could blur the glyphs
+const HIGH_CONTRAST = {
+    bgColor: '#000000',
+    textColor: '#ffffff',
+    opacity: 100,
+    glassmorphic: false,
+    outlineWidth: 0,
+    shadowOffset: 0,
+    shadowBlur: 0,
+    fontWeight: 700,
+    cornerRadius: 0
+};
+
+// Fonts designed or commonly recommended for dyslexic readers, whichever is installed first
+const DYSLEXIA_FONTS = "OpenDyslexic, 'Atkinson Hyperlegible', Lexend, Verdana, 'Comic Sans MS', sans-serif";
+
+function hexToRgba(hex, opacity) {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    if (result) {
+        const r = parseInt(result[1], 16);
+        const g = parseInt(result[2], 16);
+        const b = parseInt(result[3], 16);
+        return `rgba(${r}, ${g}, ${b}, ${opacity / 100})`;
+    }
+    return hex;
+}
+
+function parseHex(hex) {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex || '');
+    return result ? result.slice(1).map(part => parseInt(part, 16)) : [0, 0, 0];
+}
+
+// WCAG 2 relative luminance of an [r, g, b] colour
+function relativeLuminance(rgb) {
+    const [r, g, b] = rgb.map(value => {
+        const channel = value / 255;
+        return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(a, b) {
+    const [lighter, darker] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+// A colour at the given alpha over a solid backdrop
+function composite(rgb, alpha, backdrop) {
+    return rgb.map((value, i) => Math.round(value * alpha + backdrop[i] * (1 - alpha)));
+}
+
+function pickAppearance(style) {
+    return Object.fromEntries(APPEARANCE_KEYS.filter(key => style[key] !== undefined).map(key => [key, style[key]]));
+}
+
+// An outline drawn with text shadows in eight directions, then the drop shadow
+function textShadow(style) {
+    const shadows = [];
+    const width = Number(style.outlineWidth) || 0;
+    if (width > 0) {
+        for (let i = 0; i < 8; i++) {
+            const angle = i * Math.PI / 4;
+            const x = Math.round(Math.cos(angle) * width * 100) / 100;
+            const y = Math.round(Math.sin(angle) * width * 100) / 100;
+            shadows.push(`${x}px ${y}px 0 ${style.outlineColor}`);
+        }
+    }
+
+    const offset = Number(style.shadowOffset) || 0;
+    const blur = Number(style.shadowBlur) || 0;
+    if (offset > 0 || blur > 0) {
+        shadows.push(`${offset}px ${offset}px ${blur}px ${style.shadowColor}`);
+    }
+    return shadows.length > 0 ? shadows.join(', ') : 'none';
+}
+
+// Background opacity of the box; the glass effect uses a much lighter tint
+function boxOpacity(style) {
+    return style.glassmorphic ? Number(style.opacity) * 0.3 : Number(style.opacity);
+}
+
+// Worst-case contrast of the text against the box over any backdrop
+function effectiveContrast(style) {
+    const text = parseHex(style.textColor);
+    const background = parseHex(style.bgColor);
+    const alpha = boxOpacity(style) / 100;
+    let ratio = Math.min(...BACKDROPS.map(backdrop => contrastRatio(text, composite(background, alpha, backdrop))));
+
+    // A solid outline of at least a pixel separates the glyphs from whatever is behind them
+    if (Number(style.outlineWidth) >= 1) {
+        ratio = Math.max(ratio, contrastRatio(text, parseHex(style.outlineColor)));
+    }
+    return ratio;
+}
+
+// WCAG large text is 18pt, or 14pt bold (24px and 18.66px)
+function isLargeText(style) {
+    const size = Number(style.fontSize);
+    return size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700);
+}
+
+// Ratio and the WCAG level it meets: 'AAA', 'AA' or null
+function checkContrast(style) {
+    const ratio = effectiveContrast(style);
+    const large = isLargeText(style);
+    const minimum = large ? 3 : 4.5;
+    const enhanced = large ? 4.5 : 7;
+
+    return {
+        ratio,
+        minimum,
+        enhanced,
+        level: ratio >= enhanced ? 'AAA' : ratio >= minimum ? 'AA' : null
+    };
+}
+
+// The smallest change that reaches AA: black or white text, then a more solid background
+function fixContrast(style) {
+    if (checkContrast(style).level) {
+        return style;
+    }
+
+    const candidates = ['#ffffff', '#000000'].map(textColor => ({ ...style, textColor }));
+    let fixed = candidates.reduce((best, candidate) => effectiveContrast(candidate) > effectiveContrast(best) ? candidate : best);
+
+    if (!checkContrast(fixed).level && fixed.glassmorphic) {
+        fixed = { ...fixed, glassmorphic: false };
+    }
+    for (let opacity = Number(fixed.opacity); !checkContrast(fixed).level && opacity < 100;) {
+        opacity = Math.min(100, opacity + 5);
+        fixed = { ...fixed, opacity };
+    }
+    return fixed;
+}
+
+// Spacing after WCAG 1.4.12 and the British Dyslexia Association style guide
+function dyslexiaFriendly(style) {
+    const fontSize = Number(style.fontSize);
+    return {
+        fontFamily: DYSLEXIA_FONTS,
+        fontWeight: Math.min(Number(style.fontWeight), 600),
+        letterSpacing: Math.max(Number(style.letterSpacing), Math.round(fontSize * 0.12 * 10) / 10),
+        wordSpacing: Math.round(fontSize * 0.16 * 10) / 10,
+        lineHeight: Math.max(Number(style.lineHeight), 1.5),
+        textAlign: 'left',
+        interimItalic: false
+    };
+}
+
+// The style as it is drawn, after accessibility modes and contrast fixes
+function resolveStyle(style) {
+    let resolved = { ...style, wordSpacing: 0, interimItalic: true };
+    if (style.dyslexiaFriendly) {
+        resolved = { ...resolved, ...dyslexiaFriendly(resolved) };
+    }
+    if (style.highContrast) {
+        resolved = { ...resolved, ...HIGH_CONTRAST };
+    } else if (style.contrastCheck === 'fix') {
+        resolved = fixContrast(resolved);
+    }
+    return resolved;
+}
+
+// Inline styles for the caption box
+function captionBoxStyle(style) {
+    const glass = Boolean(style.glassmorphic);
+    const blur = glass ? 'blur(20px) saturate(180%)' : 'none';
+
+    return {
+        background: hexToRgba(style.bgColor, boxOpacity(style)),
+        backdropFilter: blur,
+        webkitBackdropFilter: blur,
+        border: glass ? '1px solid rgba(255, 255, 255, 0.18)' : 'none',
+        boxShadow: glass ? '0 8px 32px rgba(0, 0, 0, 0.3)' : '0 4px 20px rgba(0, 0, 0, 0.5)',
+        borderRadius: `${style.cornerRadius}px`,
+        color: style.textColor,
+        fontSize: `${style.fontSize}px`,
+        fontFamily: style.fontFamily,
+        fontWeight: String(style.fontWeight),
+        letterSpacing: `${style.letterSpacing}px`,
+        wordSpacing: `${Number(style.wordSpacing) || 0}px`,
+        lineHeight: String(style.lineHeight),
+        padding: `${style.paddingY}px ${style.paddingX}px`,
+        textAlign: style.textAlign,
+        textShadow: textShadow(style)
+    };
+}
+
+// Stylesheet rule for interim captions, which get a lighter background
+function interimRule(style) {
+    const background = style.glassmorphic
+        ? hexToRgba(style.bgColor, Math.max(15, boxOpacity(style) * 0.5))
+        : hexToRgba(style.bgColor, Math.max(50, Number(style.opacity) - 20));
+    const blur = style.glassmorphic ? 'blur(15px) saturate(150%)' : 'none';
+
+    return `
+        .caption-text.interim {
+            background: ${background} !important;
+            backdrop-filter: ${blur} !important;
+            -webkit-backdrop-filter: ${blur} !important;
+        }
+        .caption-row.interim {
+            font-style: ${style.interimItalic === false ? 'normal' : 'italic'};
+        }
+    `;
+}
+
+// How many average characters fit on a line in a container of the given width
+function fitLineLength(style, containerWidth) {
+    const available = containerWidth * Number(style.maxWidth) / 100 - 2 * Number(style.paddingX);
+    const charWidth = Number(style.fontSize) * CHAR_WIDTH + Number(style.letterSpacing);
+    return Math.max(20, Math.floor(available / Math.max(1, charWidth)));
+}
+
+module.exports = {
+    APPEARANCE_KEYS,
+    hexToRgba,
+    pickAppearance,
+    contrastRatio,
+    checkContrast,
+    fixContrast,
+    resolveStyle,
+    captionBoxStyle,
+    interimRule,
+    fitLineLength
+};
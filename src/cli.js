@@ -0,0 +1,506 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const SpeechRecognition = require('./speech-recognition');
+const { listBackends, getBackend, DEFAULT_BACKEND } = require('./backends');
+const { detectDriver, SAMPLE_RATE, SAMPLE_RATES } = require('./audio-capture');
+const { ENCODINGS } = require('./audio-encoder');
+const { listAudioDevices } = require('./audio-devices');
+const { TranscriptStore, EXPORT_FORMATS, exportTranscript } = require('./transcript');
+const { SpeakerRegistry } = require('./speakers');
+const { parsePhraseList, parseReplacements } = require('./vocabulary');
+const { DEFAULT_LANGUAGE, MAX_ALTERNATIVE_LANGUAGES } = require('./languages');
+const { REGIONS, MODELS, ENDPOINT, parseServiceAccount } = require('./google-cloud');
+const { NOISE_SUPPRESSION_LEVELS } = require('./audio-processing');
+
+const USAGE = `Usage: unmarketable-tomato <command> [options]
+
+Commands:
+  caption              Caption live audio or a file
+  devices              List capture devices
+  backends             List recognition engines
+  check                Check that a recognition engine can be reached
+
+Caption options:
+  -l, --lang <code>          Recognition language (default en-US)
+      --alt-lang <codes>     Up to ${MAX_ALTERNATIVE_LANGUAGES} more languages to listen for, comma-separated
+  -b, --backend <id>         Recognition engine (default ${DEFAULT_BACKEND})
+  -d, --device <name|id>     Capture device, by name or driver device ID
+  -s, --source <source>      mic, system or mix (default mic)
+  -f, --file <path>          Transcribe an audio file instead; "-" reads stdin
+      --input-format <type>  Format of stdin audio: wav (default), raw, mp3, ...
+  -o, --out <file>           Write subtitles; format from the extension
+                             (.srt, .vtt, .txt, .json). May be repeated
+      --format <format>      stdout format: text (default) or json (JSON lines)
+      --interim              Also print interim results
+      --diarization          Label speakers where the engine supports it
+      --phrases <file>       Phrase hints, one per line ("phrase | boost")
+      --replacements <file>  Replacements, one per line ("from => to")
+      --realtime             Pace file input at real time
+      --driver <driver>      Sox input driver (default: detected)
+  -h, --help                 Show this help
+
+Recognition options (caption):
+      --model <model>        Speech model, e.g. latest_long, telephony or video
+      --enhanced             Use the enhanced version of the model
+      --no-punctuation       Leave out automatic punctuation
+      --profanity-filter     Mask profanity, e.g. "f***"
+      --spoken-punctuation   Write punctuation that is said aloud ("comma")
+      --spoken-emoji         Write emoji that are said aloud ("smiley face")
+      --sample-rate <hz>     ${SAMPLE_RATES.join(', ')} (default ${SAMPLE_RATE})
+      --encoding <type>      ${ENCODINGS.join(', ')} (default linear16); the
+                             compressed ones need less bandwidth
+      --no-vad               Stream silence too, instead of only speech
+      --vad-threshold <dB>   Input level that counts as speech (default -50)
+      --vad-hangover <ms>    Silence that ends speech (default 1000)
+
+Audio cleanup options (caption):
+      --gain <dB>            Input gain, -20 to 30 (default 0)
+      --high-pass <hz>       Cut rumble below this frequency, 0 to 300 (default off)
+      --noise-suppression <level>
+                             ${NOISE_SUPPRESSION_LEVELS.join(', ')} (default off)
+      --auto-gain            Even out quiet and loud speech
+
+Google Cloud options (caption and check):
+      --key-file <path>      Service-account key (default: Application Default Credentials)
+      --project <id>         Project ID (default: from the key or environment)
+      --region <region>      ${REGIONS.join(', ')} (default global)
+      --endpoint <host:port> Use another endpoint; localhost is used without TLS
+`;
+
+const VALUE_FLAGS = {
+    '--lang': 'lang', '-l': 'lang',
+    '--alt-lang': 'altLang',
+    '--backend': 'backend', '-b': 'backend',
+    '--device': 'device', '-d': 'device',
+    '--source': 'source', '-s': 'source',
+    '--file': 'file', '-f': 'file',
+    '--input-format': 'inputFormat',
+    '--out': 'out', '-o': 'out',
+    '--format': 'format',
+    '--phrases': 'phrases',
+    '--replacements': 'replacements',
+    '--driver': 'driver',
+    '--key-file': 'keyFile',
+    '--project': 'project',
+    '--region': 'region',
+    '--endpoint': 'endpoint',
+    '--model': 'model',
+    '--sample-rate': 'sampleRate',
+    '--encoding': 'encoding',
+    '--vad-threshold': 'vadThreshold',
+    '--vad-hangover': 'vadHangover',
+    '--gain': 'gain',
+    '--high-pass': 'highPass',
+    '--noise-suppression': 'noiseSuppression'
+};
+
+const BOOLEAN_FLAGS = {
+    '--interim': 'interim',
+    '--diarization': 'diarization',
+    '--realtime': 'realtime',
+    '--enhanced': 'enhanced',
+    '--no-punctuation': 'noPunctuation',
+    '--profanity-filter': 'profanityFilter',
+    '--spoken-punctuation': 'spokenPunctuation',
+    '--spoken-emoji': 'spokenEmoji',
+    '--no-vad': 'noVad',
+    '--auto-gain': 'autoGain',
+    '--help': 'help', '-h': 'help'
+};
+
+const OUTPUT_FORMATS = ['text', 'json'];
+const AUDIO_SOURCES = ['mic', 'system', 'mix'];
+
+function parseArgs(argv) {
+    const options = { out: [] };
+    let command = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+
+        if (VALUE_FLAGS[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) {
+                throw new Error(`${flag} needs a value`);
+            }
+            if (VALUE_FLAGS[flag] === 'out') {
+                options.out.push(value);
+            } else {
+                options[VALUE_FLAGS[flag]] = value;
+            }
+        } else if (BOOLEAN_FLAGS[flag]) {
+            options[BOOLEAN_FLAGS[flag]] = true;
+        } else if (!arg.startsWith('-') && command === null) {
+            command = arg;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return { command, options };
+}
+
+function readListFile(file) {
+    return file ? fs.readFileSync(file, 'utf8') : '';
+}
+
+// Subtitle format for each --out file, checked before any audio is captured
+function resolveOutputs(files) {
+    return files.map(file => {
+        const format = path.extname(file).slice(1).toLowerCase();
+        if (!EXPORT_FORMATS[format]) {
+            throw new Error(`Can't tell the subtitle format of ${file}; use one of: ${Object.keys(EXPORT_FORMATS).map(f => '.' + f).join(', ')}`);
+        }
+        return { file, format };
+    });
+}
+
+function fileSource(options) {
+    if (!options.file) return null;
+    if (options.file === '-') {
+        return { type: 'stdin', format: options.inputFormat || 'wav' };
+    }
+    if (!fs.existsSync(options.file)) {
+        throw new Error(`File not found: ${options.file}`);
+    }
+    return { type: 'file', path: options.file };
+}
+
+// Google Cloud connection settings, in the form the backends take (see google-cloud.js)
+function cloudOptions(options) {
+    const region = options.region || 'global';
+    if (!REGIONS.includes(region)) {
+        throw new Error(`--region must be one of: ${REGIONS.join(', ')}`);
+    }
+    if (options.endpoint && !ENDPOINT.test(options.endpoint)) {
+        throw new Error('--endpoint must look like host or host:port');
+    }
+
+    let credentials = null;
+    if (options.keyFile) {
+        try {
+            credentials = parseServiceAccount(fs.readFileSync(options.keyFile, 'utf8'));
+        } catch (error) {
+            throw new Error(`Can't use the key file ${options.keyFile}: ${error.message}`);
+        }
+    }
+
+    return { credentials, projectId: options.project || '', region, endpoint: options.endpoint || '' };
+}
+
+// Model and features, in the form of a profile's recognition settings
+function recognitionOptions(options) {
+    const model = options.model || 'default';
+    if (!MODELS.includes(model)) {
+        throw new Error(`--model must be one of: ${MODELS.join(', ')}`);
+    }
+    const sampleRate = options.sampleRate ? Number(options.sampleRate) : SAMPLE_RATE;
+    if (!SAMPLE_RATES.includes(sampleRate)) {
+        throw new Error(`--sample-rate must be one of: ${SAMPLE_RATES.join(', ')}`);
+    }
+    const encoding = options.encoding || 'linear16';
+    if (!ENCODINGS.includes(encoding)) {
+        throw new Error(`--encoding must be one of: ${ENCODINGS.join(', ')}`);
+    }
+
+    return {
+        model,
+        enhanced: Boolean(options.enhanced),
+        automaticPunctuation: !options.noPunctuation,
+        profanityFilter: Boolean(options.profanityFilter),
+        spokenPunctuation: Boolean(options.spokenPunctuation),
+        spokenEmojis: Boolean(options.spokenEmoji),
+        // Only asked for when they're printed
+        interimResults: Boolean(options.interim),
+        encoding,
+        sampleRate
+    };
+}
+
+// Silence gating, in the form of a profile's voiceActivity settings
+function voiceActivityOptions(options) {
+    const threshold = options.vadThreshold !== undefined ? Number(options.vadThreshold) : -50;
+    if (!(threshold >= -80 && threshold <= -10)) {
+        throw new Error('--vad-threshold must be between -80 and -10 dB');
+    }
+    const hangoverMs = options.vadHangover !== undefined ? Number(options.vadHangover) : 1000;
+    if (!(hangoverMs >= 200 && hangoverMs <= 5000)) {
+        throw new Error('--vad-hangover must be between 200 and 5000 ms');
+    }
+    return { enabled: !options.noVad, threshold, hangoverMs };
+}
+
+// Cleanup of the captured audio, in the form of a profile's audioProcessing settings
+function audioProcessingOptions(options) {
+    const gain = options.gain !== undefined ? Number(options.gain) : 0;
+    if (!(gain >= -20 && gain <= 30)) {
+        throw new Error('--gain must be between -20 and 30 dB');
+    }
+    const highPass = options.highPass !== undefined ? Number(options.highPass) : 0;
+    if (!(highPass >= 0 && highPass <= 300)) {
+        throw new Error('--high-pass must be between 0 and 300 Hz');
+    }
+    const noiseSuppression = options.noiseSuppression || 'off';
+    if (!NOISE_SUPPRESSION_LEVELS.includes(noiseSuppression)) {
+        throw new Error(`--noise-suppression must be one of: ${NOISE_SUPPRESSION_LEVELS.join(', ')}`);
+    }
+    return { gain, highPass, noiseSuppression, autoGain: Boolean(options.autoGain) };
+}
+
+// Prints results as plain text or JSON lines
+function createPrinter(format, showInterim) {
+    const out = process.stdout;
+    let interimShown = false;
+
+    const clearInterim = () => {
+        if (interimShown) {
+            out.write('\r\x1b[K');
+            interimShown = false;
+        }
+    };
+
+    if (format === 'json') {
+        return {
+            interim(text, details) {
+                if (showInterim) {
+                    out.write(JSON.stringify({ type: 'interim', text, channel: details.channel || null, language: details.language }) + '\n');
+                }
+            },
+            final(entry, details, speaker) {
+                out.write(JSON.stringify({
+                    type: 'final',
+                    text: entry.text,
+                    start: entry.start,
+                    end: entry.end,
+                    speaker: speaker ? speaker.name : null,
+                    channel: details.channel || null,
+                    language: details.language,
+                    confidence: details.confidence,
+                    words: details.words && details.words.length > 0 ? details.words : undefined
+                }) + '\n');
+            },
+            done() {}
+        };
+    }
+
+    return {
+        // Interims only make sense on a terminal, where they can be overwritten
+        interim(text) {
+            if (showInterim && out.isTTY) {
+                out.write(`\r\x1b[K${text}`);
+                interimShown = true;
+            }
+        },
+        final(entry, details, speaker) {
+            clearInterim();
+            out.write(`${speaker ? `${speaker.name}: ` : ''}${entry.text}\n`);
+        },
+        done: clearInterim
+    };
+}
+
+function caption(options) {
+    const format = options.format || 'text';
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw new Error(`--format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    const audioSource = options.source || 'mic';
+    if (!AUDIO_SOURCES.includes(audioSource)) {
+        throw new Error(`--source must be one of: ${AUDIO_SOURCES.join(', ')}`);
+    }
+
+    const outputs = resolveOutputs(options.out);
+    const source = fileSource(options);
+    const language = options.lang || DEFAULT_LANGUAGE;
+    const alternativeLanguages = options.altLang ? options.altLang.split(',').map(code => code.trim()).filter(Boolean) : [];
+    if (alternativeLanguages.length > MAX_ALTERNATIVE_LANGUAGES) {
+        throw new Error(`--alt-lang takes at most ${MAX_ALTERNATIVE_LANGUAGES} languages`);
+    }
+    const speakers = new SpeakerRegistry();
+    const transcript = new TranscriptStore({ speakers });
+    const printer = createPrinter(format, options.interim);
+
+    const recognition = new SpeechRecognition(language, options.device || null, {
+        backend: options.backend || DEFAULT_BACKEND,
+        alternativeLanguages,
+        diarization: options.diarization,
+        audioSource,
+        phrases: parsePhraseList(readListFile(options.phrases)),
+        replacements: parseReplacements(readListFile(options.replacements)),
+        source,
+        driver: options.driver,
+        deviceLabel: options.device || null,
+        realtime: options.realtime || undefined,
+        recognition: recognitionOptions(options),
+        voiceActivity: voiceActivityOptions(options),
+        audioProcessing: audioProcessingOptions(options),
+        backendOptions: { cloud: cloudOptions(options) }
+    });
+
+    let exitCode = 0;
+    let finished = false;
+
+    const finish = () => {
+        if (finished) return;
+        finished = true;
+        printer.done();
+
+        // Nothing worth writing if it failed before any captions
+        const keep = exitCode === 0 || transcript.entries.length > 0;
+        (keep ? outputs : []).forEach(({ file, format: subtitleFormat }) => {
+            const { content } = exportTranscript(transcript, subtitleFormat, { language, alternativeLanguages, source: options.file || 'live' });
+            fs.writeFileSync(file, content, 'utf8');
+            process.stderr.write(`Wrote ${transcript.entries.length} captions to ${file}\n`);
+        });
+
+        // The Google client keeps its channel open, so leave explicitly
+        process.exit(exitCode);
+    };
+
+    recognition.on('start', () => {
+        transcript.startSession();
+        const what = source ? (options.file === '-' ? 'stdin' : options.file) : 'live audio';
+        const languages = [language, ...recognition.alternativeLanguages].join(', ');
+        process.stderr.write(`Captioning ${what} in ${languages}${source ? '' : ' (Ctrl+C to stop)'}\n`);
+    });
+
+    recognition.on('interim', (text, details = {}) => {
+        if (text && text.trim()) {
+            printer.interim(text, details);
+        }
+    });
+
+    recognition.on('final', (text, details = {}) => {
+        if (!text || !text.trim()) return;
+
+        const speaker = speakers.forResult(details);
+        const timing = details.endMs !== undefined ? { start: details.startMs, end: details.endMs } : {};
+        const entry = transcript.addFinal(text, {
+            speaker: speaker ? speaker.tag : null,
+            time: details.receivedAt,
+            language: details.language,
+            ...timing
+        });
+        printer.final(entry, details, speaker);
+    });
+
+    recognition.on('device-fallback', (label) => {
+        process.stderr.write(`${label || 'Selected device'} not found - using the default device\n`);
+    });
+
+    // Level warnings are printed as they begin, not on every meter reading
+    let levelWarning = null;
+    recognition.on('level', ({ clipping, quiet }) => {
+        const warning = clipping ? 'clipping - lower --gain or the input volume'
+            : quiet ? 'very quiet - raise --gain or try --auto-gain'
+            : null;
+        if (warning && warning !== levelWarning) {
+            printer.done();
+            process.stderr.write(`Input is ${warning}\n`);
+        }
+        levelWarning = warning;
+    });
+
+    recognition.on('reconnecting', ({ attempt, delay }) => {
+        process.stderr.write(`Connection lost - reconnecting in ${Math.round(delay / 1000)}s (attempt ${attempt})\n`);
+    });
+
+    recognition.on('error', (error) => {
+        process.stderr.write(`Error: ${error.message}\n`);
+        exitCode = 1;
+        finish();
+    });
+
+    recognition.on('stop', finish);
+
+    // First Ctrl+C waits for the last results, a second one quits at once
+    let interrupted = false;
+    process.on('SIGINT', () => {
+        if (interrupted) {
+            process.exit(130);
+        }
+        interrupted = true;
+        recognition.finishInput();
+    });
+
+    // Errors are reported through the 'error' event
+    recognition.start().catch(() => {});
+}
+
+async function devices(options) {
+    const driver = options.driver || detectDriver();
+    const found = await listAudioDevices(driver);
+
+    if (found.length === 0) {
+        process.stderr.write(`No capture devices found for ${driver}\n`);
+        return;
+    }
+    found.forEach(device => process.stdout.write(`${device.id}\t${device.label}\n`));
+}
+
+function backends() {
+    listBackends().forEach(backend => {
+        process.stdout.write(`${backend.id}\t${backend.label}${backend.id === DEFAULT_BACKEND ? ' (default)' : ''}\n`);
+    });
+}
+
+async function check(options) {
+    try {
+        const Backend = getBackend(options.backend || DEFAULT_BACKEND);
+        const message = await Backend.checkConnection({ cloud: cloudOptions(options) }, options.lang || DEFAULT_LANGUAGE);
+        process.stdout.write(`${message}\n`);
+        process.exit(0);
+    } catch (error) {
+        process.stderr.write(`Error: ${error.message}\n`);
+        process.exit(1);
+    }
+}
+
+function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+
+    const { command, options } = parsed;
+    if (options.help || !command) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    try {
+        switch (command) {
+            case 'caption':
+                caption(options);
+                break;
+            case 'devices':
+                devices(options);
+                break;
+            case 'backends':
+                backends();
+                break;
+            case 'check':
+                check(options);
+                break;
+            default:
+                throw new Error(`Unknown command: ${command}`);
+        }
+    } catch (error) {
+        process.stderr.write(`Error: ${error.message}\n`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = {
+    parseArgs,
+    main
+};
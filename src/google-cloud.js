@@ -0,0 +1,106 @@
+// Google Cloud connection settings shared by speech recognition and
+// translation: a service-account key or Application Default Credentials, the
+// project, a region and an endpoint override for pointing at a local stand-in.
+
+// Speech-to-Text v1 serves these from <region>-speech.googleapis.com
+const REGIONS = ['global', 'us', 'eu'];
+
+// Speech models to choose from per profile. phone_call and video also come as
+// enhanced models, which cost more but are better on noisy audio.
+const MODELS = ['default', 'latest_long', 'latest_short', 'command_and_search', 'phone_call', 'telephony', 'telephony_short', 'video', 'medical_dictation', 'medical_conversation'];
+
+// host[:port]; IPv6 hosts in brackets
+const ENDPOINT = /^$|^(\[[0-9a-f:]+\]|[a-z0-9.-]+)(:\d{1,5})?$/i;
+
+// gRPC and HTTP status codes the services answer with
+const PERMISSION_DENIED = 7;
+const RESOURCE_EXHAUSTED = 8;
+const UNAVAILABLE = 14;
+const UNAUTHENTICATED = 16;
+
+// The parts of a service-account key file the clients need; throws if it isn't one
+function parseServiceAccount(json) {
+    let key;
+    try {
+        key = JSON.parse(json);
+    } catch (error) {
+        throw new Error('The key file is not valid JSON');
+    }
+    if (!key || key.type !== 'service_account' || !key.client_email || !key.private_key) {
+        throw new Error('Not a service-account key. Create one with: gcloud iam service-accounts keys create');
+    }
+    return { client_email: key.client_email, private_key: key.private_key, project_id: key.project_id || '' };
+}
+
+// Constructor options common to the Google Cloud clients
+function clientOptions(cloud = {}) {
+    const options = {};
+    if (cloud.credentials) {
+        options.credentials = { client_email: cloud.credentials.client_email, private_key: cloud.credentials.private_key };
+    }
+    const projectId = cloud.projectId || (cloud.credentials && cloud.credentials.project_id);
+    if (projectId) {
+        options.projectId = projectId;
+    }
+    return options;
+}
+
+// Where the speech client connects, or null for the default endpoint. A stand-in
+// on this machine is spoken to without TLS or credentials.
+function speechEndpoint(cloud = {}) {
+    let endpoint = cloud.endpoint;
+    if (!endpoint && cloud.region && cloud.region !== 'global') {
+        endpoint = `${cloud.region}-speech.googleapis.com`;
+    }
+    if (!endpoint) return null;
+
+    const match = endpoint.match(/^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/);
+    const host = match ? match[1] : endpoint;
+    return {
+        host,
+        port: match && match[2] ? Number(match[2]) : null,
+        insecure: /^(localhost|127\.0\.0\.1|\[::1\])$/i.test(host)
+    };
+}
+
+// Turn the errors Google Cloud clients throw into something a user can act on.
+// service names the API ("Speech-to-Text"), api is its service name for gcloud.
+function describeError(error, { service, api }) {
+    const message = error.details || error.message || String(error);
+
+    if (/Could not load the default credentials/i.test(message)) {
+        return 'No Google Cloud credentials found. Choose a service-account key under Cloud Setup (--key-file on the command line), or run: gcloud auth application-default login';
+    }
+    if (/Unable to detect a Project Id/i.test(message)) {
+        return 'No Google Cloud project set. Enter a project ID under Cloud Setup.';
+    }
+    if (/SERVICE_DISABLED|has not been used in project|it is disabled|accessNotConfigured/i.test(message)) {
+        return `The ${service} API is not enabled for this project. Enable it with: gcloud services enable ${api}`;
+    }
+    if (/BILLING_DISABLED|billing/i.test(message)) {
+        return `Billing is not enabled for this Google Cloud project, which ${service} requires: https://console.cloud.google.com/billing`;
+    }
+    if (error.code === UNAUTHENTICATED || error.code === 401 || /invalid_grant|invalid_client|UNAUTHENTICATED/i.test(message)) {
+        return `Google Cloud rejected the credentials (${message}). Check the service-account key, or sign in again with: gcloud auth application-default login`;
+    }
+    if (error.code === PERMISSION_DENIED || error.code === 403) {
+        return `The account isn't allowed to use ${service} in this project (${message}). Check the project ID and the account's roles.`;
+    }
+    if (error.code === RESOURCE_EXHAUSTED || error.code === 429 || /quota|rate limit/i.test(message)) {
+        return `${service} quota exceeded (${message}). Wait a moment, or raise the quota in the Cloud console.`;
+    }
+    if (error.code === UNAVAILABLE || /ECONNREFUSED|ENOTFOUND|EAI_AGAIN|ETIMEDOUT/.test(message)) {
+        return `Can't reach ${service} (${message}). Check the network connection and endpoint.`;
+    }
+    return message;
+}
+
+module.exports = {
+    REGIONS,
+    MODELS,
+    ENDPOINT,
+    parseServiceAccount,
+    clientOptions,
+    speechEndpoint,
+    describeError
+};
@@ -0,0 +1,52 @@
+// Actions that can be bound to a global shortcut, in menu order
+const HOTKEY_ACTIONS = {
+    toggleCaptions: 'Start/Stop Captions',
+    togglePause: 'Pause/Resume',
+    toggleOverlay: 'Show/Hide Overlay',
+    clearCaption: 'Clear Caption'
+};
+
+const DEFAULT_HOTKEYS = {
+    toggleCaptions: 'CommandOrControl+Alt+S',
+    togglePause: 'CommandOrControl+Alt+P',
+    toggleOverlay: 'CommandOrControl+Alt+O',
+    clearCaption: 'CommandOrControl+Alt+X'
+};
+
+// Unknown actions are dropped, missing ones fall back to the defaults
+function normalizeHotkeys(hotkeys = {}) {
+    const normalized = {};
+    Object.keys(HOTKEY_ACTIONS).forEach(action => {
+        const accelerator = hotkeys[action];
+        normalized[action] = typeof accelerator === 'string' ? accelerator.trim() : DEFAULT_HOTKEYS[action];
+    });
+    return normalized;
+}
+
+// Register every bound action; returns the actions whose shortcut was refused
+function registerHotkeys(globalShortcut, hotkeys, onAction) {
+    globalShortcut.unregisterAll();
+
+    const failed = [];
+    Object.entries(hotkeys).forEach(([action, accelerator]) => {
+        if (!accelerator) return;   // Empty means unbound
+
+        try {
+            // Fails if the accelerator is malformed or another app owns it
+            if (!globalShortcut.register(accelerator, () => onAction(action))) {
+                failed.push(action);
+            }
+        } catch (error) {
+            failed.push(action);
+        }
+    });
+
+    return failed;
+}
+
+module.exports = {
+    HOTKEY_ACTIONS,
+    DEFAULT_HOTKEYS,
+    normalizeHotkeys,
+    registerHotkeys
+};
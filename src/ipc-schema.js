@@ -0,0 +1,119 @@
+const { string, number, boolean, oneOf, object, recordOf, listOf, freeform, optional, partial, validate } = require('./schema');
+const { STYLE_SCHEMA } = require('./settings-store');
+const { ANCHORS } = require('./overlay-placement');
+const { EXPORT_FORMATS } = require('./transcript');
+const { REGIONS, ENDPOINT } = require('./google-cloud');
+
+const COLOR = /^#[0-9a-f]{6}$/i;
+
+// What the main window may send, by channel; null for requests without a
+// payload. The preload script only forwards these channels, and anything that
+// doesn't fit the schema is refused before a handler sees it.
+const CHANNELS = {
+    'get-settings': null,
+    'import-local-storage': recordOf(string('')),
+    'get-engines': null,
+    'update-profile': freeform(),   // Profile fields are checked by the settings store
+    'select-profile': string(''),
+    'create-profile': string(''),
+    'delete-profile': null,
+    'export-profile': null,
+    'import-profile': null,
+    'update-caption-styles': partial(STYLE_SCHEMA),   // Merged into the profile, which is checked as a whole
+
+    'get-style-presets': null,
+    'save-style-preset': object({ name: string(''), style: freeform() }),
+    'rename-style-preset': object({ id: string(''), name: string('') }),
+    'delete-style-preset': string(''),
+
+    'get-overlay-placement': null,
+    'set-overlay-placement': object({
+        displayId: optional(number(null, -Infinity, Infinity)),
+        anchor: optional(oneOf(ANCHORS, 'bottom'))
+    }),
+    'set-overlay-unlocked': boolean(false),
+    'test-overlay': null,
+
+    'get-hotkeys': null,
+    'set-hotkeys': recordOf(string('')),
+
+    'get-caption-server': null,
+    'set-caption-server': object({
+        enabled: optional(boolean(false)),
+        port: optional(number(7878, 1, 65535)),
+        allowNetwork: optional(boolean(false)),
+        token: optional(string(''))
+    }),
+    'generate-caption-server-token': null,
+
+    'get-cloud-setup': null,
+    'set-cloud-setup': object({
+        auth: optional(oneOf(['adc', 'serviceAccount'], 'adc')),
+        projectId: optional(string('')),
+        region: optional(oneOf(REGIONS, 'global')),
+        endpoint: optional(string('', ENDPOINT))
+    }),
+    'choose-service-account': null,
+    'forget-service-account': null,
+    'check-connection': null,
+
+    // Shown in the tray while the window is closed
+    'caption-status': object({ state: string('ready'), message: string('') }),
+
+    'get-session': null,
+    'start-captions': null,
+    'stop-captions': null,
+    'toggle-pause': null,
+    'microphone-unplugged': null,
+    'transcribe-file': null,
+    'update-transcript-entry': object({ id: number(0, 1, Infinity), text: string('') }),
+    'clear-transcript': null,
+    'export-transcript': oneOf(Object.keys(EXPORT_FORMATS), 'srt'),
+    'rename-speaker': object({ tag: string(''), name: string('') })
+};
+
+// Captions on their way to the overlay and the caption server
+const CAPTION_SCHEMA = object({
+    text: string(''),
+    isFinal: boolean(false),
+    translation: optional(string('')),
+    speaker: optional(object({ tag: string(''), name: string(''), color: string('#ffffff', COLOR) })),
+    channel: number(null, 1, 8, true),
+    confidences: optional(listOf(number(null, 0, 1, true))),
+    language: optional(string(''))
+});
+
+function check(schema, payload, at) {
+    const errors = [];
+    const cleaned = validate(schema, payload, errors, at);
+    if (errors.length > 0) {
+        throw new Error(`Invalid message - ${errors.join('; ')}`);
+    }
+    return cleaned;
+}
+
+// The payload as handlers may use it; throws for unknown channels and bad payloads
+function checkPayload(channel, payload) {
+    if (!Object.prototype.hasOwnProperty.call(CHANNELS, channel)) {
+        throw new Error(`Unknown message: ${channel}`);
+    }
+
+    const schema = CHANNELS[channel];
+    if (schema === null) {
+        if (payload !== undefined) {
+            throw new Error(`Invalid message - ${channel} takes no arguments`);
+        }
+        return undefined;
+    }
+    return check(schema, payload, channel);
+}
+
+function checkCaption(caption) {
+    return check(CAPTION_SCHEMA, caption, 'caption');
+}
+
+module.exports = {
+    CHANNELS,
+    checkPayload,
+    checkCaption
+};
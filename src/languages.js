@@ -0,0 +1,146 @@
+// Recognition languages offered in the main window. Google Cloud covers all of
+// them; the offline engine needs a model for each one it is asked to use.
+const LANGUAGES = [
+    { code: 'af-ZA', label: 'Afrikaans' },
+    { code: 'sq-AL', label: 'Albanian' },
+    { code: 'am-ET', label: 'Amharic' },
+    { code: 'ar-EG', label: 'Arabic (Egypt)' },
+    { code: 'ar-SA', label: 'Arabic (Saudi Arabia)' },
+    { code: 'ar-AE', label: 'Arabic (UAE)' },
+    { code: 'hy-AM', label: 'Armenian' },
+    { code: 'az-AZ', label: 'Azerbaijani' },
+    { code: 'eu-ES', label: 'Basque' },
+    { code: 'bn-BD', label: 'Bengali (Bangladesh)' },
+    { code: 'bn-IN', label: 'Bengali (India)' },
+    { code: 'bs-BA', label: 'Bosnian' },
+    { code: 'bg-BG', label: 'Bulgarian' },
+    { code: 'my-MM', label: 'Burmese' },
+    { code: 'ca-ES', label: 'Catalan' },
+    { code: 'yue-Hant-HK', label: 'Chinese, Cantonese' },
+    { code: 'cmn-Hans-CN', label: 'Chinese, Mandarin (Simplified)' },
+    { code: 'cmn-Hant-TW', label: 'Chinese, Mandarin (Traditional)' },
+    { code: 'hr-HR', label: 'Croatian' },
+    { code: 'cs-CZ', label: 'Czech' },
+    { code: 'da-DK', label: 'Danish' },
+    { code: 'nl-BE', label: 'Dutch (Belgium)' },
+    { code: 'nl-NL', label: 'Dutch (Netherlands)' },
+    { code: 'en-AU', label: 'English (Australia)' },
+    { code: 'en-CA', label: 'English (Canada)' },
+    { code: 'en-IN', label: 'English (India)' },
+    { code: 'en-IE', label: 'English (Ireland)' },
+    { code: 'en-NZ', label: 'English (New Zealand)' },
+    { code: 'en-NG', label: 'English (Nigeria)' },
+    { code: 'en-PH', label: 'English (Philippines)' },
+    { code: 'en-SG', label: 'English (Singapore)' },
+    { code: 'en-ZA', label: 'English (South Africa)' },
+    { code: 'en-GB', label: 'English (UK)' },
+    { code: 'en-US', label: 'English (US)' },
+    { code: 'et-EE', label: 'Estonian' },
+    { code: 'fil-PH', label: 'Filipino' },
+    { code: 'fi-FI', label: 'Finnish' },
+    { code: 'fr-BE', label: 'French (Belgium)' },
+    { code: 'fr-CA', label: 'French (Canada)' },
+    { code: 'fr-FR', label: 'French (France)' },
+    { code: 'fr-CH', label: 'French (Switzerland)' },
+    { code: 'gl-ES', label: 'Galician' },
+    { code: 'ka-GE', label: 'Georgian' },
+    { code: 'de-AT', label: 'German (Austria)' },
+    { code: 'de-DE', label: 'German (Germany)' },
+    { code: 'de-CH', label: 'German (Switzerland)' },
+    { code: 'el-GR', label: 'Greek' },
+    { code: 'gu-IN', label: 'Gujarati' },
+    { code: 'iw-IL', label: 'Hebrew' },
+    { code: 'hi-IN', label: 'Hindi' },
+    { code: 'hu-HU', label: 'Hungarian' },
+    { code: 'is-IS', label: 'Icelandic' },
+    { code: 'id-ID', label: 'Indonesian' },
+    { code: 'it-IT', label: 'Italian (Italy)' },
+    { code: 'it-CH', label: 'Italian (Switzerland)' },
+    { code: 'ja-JP', label: 'Japanese' },
+    { code: 'jv-ID', label: 'Javanese' },
+    { code: 'kn-IN', label: 'Kannada' },
+    { code: 'kk-KZ', label: 'Kazakh' },
+    { code: 'km-KH', label: 'Khmer' },
+    { code: 'ko-KR', label: 'Korean' },
+    { code: 'lo-LA', label: 'Lao' },
+    { code: 'lv-LV', label: 'Latvian' },
+    { code: 'lt-LT', label: 'Lithuanian' },
+    { code: 'mk-MK', label: 'Macedonian' },
+    { code: 'ms-MY', label: 'Malay' },
+    { code: 'ml-IN', label: 'Malayalam' },
+    { code: 'mr-IN', label: 'Marathi' },
+    { code: 'mn-MN', label: 'Mongolian' },
+    { code: 'ne-NP', label: 'Nepali' },
+    { code: 'no-NO', label: 'Norwegian Bokmål' },
+    { code: 'fa-IR', label: 'Persian' },
+    { code: 'pl-PL', label: 'Polish' },
+    { code: 'pt-BR', label: 'Portuguese (Brazil)' },
+    { code: 'pt-PT', label: 'Portuguese (Portugal)' },
+    { code: 'pa-Guru-IN', label: 'Punjabi' },
+    { code: 'ro-RO', label: 'Romanian' },
+    { code: 'ru-RU', label: 'Russian' },
+    { code: 'sr-RS', label: 'Serbian' },
+    { code: 'si-LK', label: 'Sinhala' },
+    { code: 'sk-SK', label: 'Slovak' },
+    { code: 'sl-SI', label: 'Slovenian' },
+    { code: 'es-AR', label: 'Spanish (Argentina)' },
+    { code: 'es-CL', label: 'Spanish (Chile)' },
+    { code: 'es-CO', label: 'Spanish (Colombia)' },
+    { code: 'es-MX', label: 'Spanish (Mexico)' },
+    { code: 'es-PE', label: 'Spanish (Peru)' },
+    { code: 'es-ES', label: 'Spanish (Spain)' },
+    { code: 'es-US', label: 'Spanish (US)' },
+    { code: 'su-ID', label: 'Sundanese' },
+    { code: 'sw-KE', label: 'Swahili (Kenya)' },
+    { code: 'sw-TZ', label: 'Swahili (Tanzania)' },
+    { code: 'sv-SE', label: 'Swedish' },
+    { code: 'ta-IN', label: 'Tamil (India)' },
+    { code: 'ta-LK', label: 'Tamil (Sri Lanka)' },
+    { code: 'te-IN', label: 'Telugu' },
+    { code: 'th-TH', label: 'Thai' },
+    { code: 'tr-TR', label: 'Turkish' },
+    { code: 'uk-UA', label: 'Ukrainian' },
+    { code: 'ur-IN', label: 'Urdu (India)' },
+    { code: 'ur-PK', label: 'Urdu (Pakistan)' },
+    { code: 'uz-UZ', label: 'Uzbek' },
+    { code: 'vi-VN', label: 'Vietnamese' },
+    { code: 'zu-ZA', label: 'Zulu' }
+];
+
+// Google Cloud listens for at most three languages besides the main one
+const MAX_ALTERNATIVE_LANGUAGES = 3;
+
+const DEFAULT_LANGUAGE = 'en-US';
+
+function languageLabel(code) {
+    const language = LANGUAGES.find(entry => entry.code.toLowerCase() === String(code).toLowerCase());
+    return language ? language.label : code;
+}
+
+// Engines may report a language in a different case ("es-es"); map it back onto
+// one of the codes that were asked for
+function matchLanguage(code, candidates) {
+    if (!code) return null;
+    const match = candidates.find(candidate => candidate.toLowerCase() === code.toLowerCase());
+    return match || code;
+}
+
+// The main language first, then up to three others, without repeats
+function languageList(primary, alternatives = []) {
+    const seen = new Set([primary.toLowerCase()]);
+    const others = alternatives.filter(code => {
+        if (!code || seen.has(code.toLowerCase())) return false;
+        seen.add(code.toLowerCase());
+        return true;
+    });
+    return [primary, ...others.slice(0, MAX_ALTERNATIVE_LANGUAGES)];
+}
+
+module.exports = {
+    LANGUAGES,
+    MAX_ALTERNATIVE_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    languageLabel,
+    matchLanguage,
+    languageList
+};
@@ -1,6 +1,40 @@
-const { app, BrowserWindow, ipcMain, screen } = require('electron');
+const { app, BrowserWindow, ipcMain, screen, dialog, Tray, Menu, globalShortcut, protocol, shell, safeStorage } = require('electron');
 const path = require('path');
 const os = require('os');
+const fs = require('fs');
+const {
+  resolveDisplay,
+  computeBounds,
+  rememberBounds,
+  describeDisplays
+} = require('./overlay-placement');
+const {
+  HOTKEY_ACTIONS,
+  normalizeHotkeys,
+  registerHotkeys
+} = require('./hotkeys');
+const {
+  CaptionServer,
+  LOCALHOST,
+  ALL_INTERFACES,
+  normalizeServerSettings,
+  generateToken
+} = require('./caption-server');
+const { SettingsStore } = require('./settings-store');
+const { resolveStyle } = require('./caption-style');
+const CaptionSession = require('./caption-session');
+const { checkPayload, checkCaption } = require('./ipc-schema');
+const { loadBrowserModule } = require('./browser-modules');
+const { listBackends, getBackend, DEFAULT_BACKEND } = require('./backends');
+const SecretStore = require('./secret-store');
+const { parseServiceAccount } = require('./google-cloud');
+const { listProviders } = require('./translation');
+
+// Pages load the modules they share with the main process from app://modules/
+const MODULE_SCHEME = 'app';
+protocol.registerSchemesAsPrivileged([
+  { scheme: MODULE_SCHEME, privileges: { standard: true, secure: true } }
+]);
 
 // Add cache configuration before creating windows
 app.setPath('userData', path.join(os.homedir(), '.unmarketable-tomato'));
@@ -8,15 +42,48 @@ app.setPath('cache', path.join(os.homedir(), '.unmarketable-tomato', 'cache'));
 
 let mainWindow;
 let overlayWindow;
+let overlayPlacement;
+let overlayUnlocked = false;
+// Hidden from the tray or a shortcut; captions don't bring it back until toggled
+let overlayHiddenByUser = false;
+let tray = null;
+let hotkeys;
+let failedHotkeys = [];
+let captionStatus = { state: 'ready', message: 'Ready' };
+let quitting = false;
+let captionServer = null;
+let captionServerSettings;
+let captionServerError = null;
+
+const settings = new SettingsStore(path.join(app.getPath('userData'), 'settings.json'));
+settings.load();
+
+const secrets = new SecretStore(path.join(app.getPath('userData'), 'secrets.json'), safeStorage);
+const SERVICE_ACCOUNT_SECRET = 'googleServiceAccount';
+
+// Recognition runs here; the windows only show what it produces
+const session = new CaptionSession({ cloudConfig });
+
+// Pages never navigate away or open windows of their own; links open in the browser
+function lockDownNavigation(contents) {
+  contents.setWindowOpenHandler(({ url }) => {
+    if (url.startsWith('https://')) {
+      shell.openExternal(url);
+    }
+    return { action: 'deny' };
+  });
+  contents.on('will-navigate', (event) => event.preventDefault());
+}
 
 function createMainWindow() {
   mainWindow = new BrowserWindow({
     width: 480,
     height: 520,
     webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false,
-      enableRemoteModule: true
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      sandbox: true,
+      nodeIntegration: false
     },
     resizable: false,
     title: 'Unmarketable Tomato 🍅',
@@ -24,22 +91,35 @@ function createMainWindow() {
     titleBarStyle: process.platform === 'darwin' ? 'hiddenInset' : 'default'
   });
 
+  lockDownNavigation(mainWindow.webContents);
   mainWindow.loadFile(path.join(__dirname, 'index.html'));
 
+  // While captioning, closing the window leaves it running in the tray
+  mainWindow.on('close', (event) => {
+    if (!quitting && tray && session.listening) {
+      event.preventDefault();
+      mainWindow.hide();
+    }
+  });
+
+  mainWindow.on('closed', () => {
+    mainWindow = null;
+    if (overlayWindow && !overlayWindow.isDestroyed()) {
+      overlayWindow.destroy();
+    }
+  });
+
   if (process.argv.includes('--dev')) {
     mainWindow.webContents.openDevTools();
   }
 }
 
 function createOverlayWindow() {
-  const primaryDisplay = screen.getPrimaryDisplay();
-  const { width, height } = primaryDisplay.workAreaSize;
+  overlayPlacement = settings.get('overlay');
+  const bounds = computeBounds(resolveDisplay(screen, overlayPlacement.displayId), overlayPlacement);
 
   overlayWindow = new BrowserWindow({
-    width: width,
-    height: 200,
-    x: 0,
-    y: height - 200,
+    ...bounds,
     frame: false,
     transparent: true,
     alwaysOnTop: true,
@@ -47,16 +127,24 @@ function createOverlayWindow() {
     focusable: false,
     resizable: false,
     webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false
+      preload: path.join(__dirname, 'overlay-preload.js'),
+      contextIsolation: true,
+      sandbox: true,
+      nodeIntegration: false
     },
     show: false,
     backgroundColor: '#00ffffff'  // Almost transparent white for Windows
   });
 
+  lockDownNavigation(overlayWindow.webContents);
   overlayWindow.loadFile(path.join(__dirname, 'overlay.html'));
   overlayWindow.setIgnoreMouseEvents(true);
   overlayWindow.setAlwaysOnTop(true, 'screen-saver');
+
+  overlayWindow.webContents.on('did-finish-load', () => {
+    overlayWindow.webContents.send('overlay-anchor', overlayPlacement.anchor);
+    overlayWindow.webContents.send('caption-styles', resolveStyle(settings.activeProfile().style));
+  });
   
   // Open DevTools for overlay window in dev mode
   if (process.argv.includes('--dev')) {
@@ -64,11 +152,249 @@ function createOverlayWindow() {
   }
 }
 
+function showOverlay() {
+  if (overlayWindow && !overlayWindow.isDestroyed() && !overlayHiddenByUser) {
+    overlayWindow.show();
+    overlayWindow.setAlwaysOnTop(true, 'screen-saver');
+    overlayWindow.focus();
+    overlayWindow.blur();  // Remove focus after showing
+  }
+}
+
+function hideOverlay() {
+  if (overlayWindow && !overlayWindow.isDestroyed()) {
+    overlayWindow.hide();
+  }
+}
+
+function toggleOverlay() {
+  if (!overlayWindow || overlayWindow.isDestroyed()) {
+    return;
+  }
+
+  overlayHiddenByUser = overlayWindow.isVisible();
+  if (overlayHiddenByUser) {
+    overlayWindow.hide();
+  } else {
+    showOverlay();
+  }
+  updateTrayMenu();
+}
+
+function showMainWindow() {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    createMainWindow();
+    createOverlayWindow();
+    return;
+  }
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+// Shortcut and tray actions
+function runAction(action) {
+  switch (action) {
+    case 'toggleCaptions':
+      if (session.listening) {
+        session.stop();
+      } else {
+        session.start(settings.activeProfile());
+      }
+      break;
+    case 'togglePause':
+      session.togglePause();
+      break;
+    case 'toggleOverlay':
+      toggleOverlay();
+      break;
+    case 'clearCaption':
+      if (overlayWindow && !overlayWindow.isDestroyed()) {
+        overlayWindow.webContents.send('caption-clear');
+      }
+      if (captionServer) {
+        captionServer.publish('clear', null);
+      }
+      break;
+  }
+}
+
+function applyHotkeys() {
+  failedHotkeys = registerHotkeys(globalShortcut, hotkeys, runAction);
+  updateTrayMenu();
+}
+
+function createTray() {
+  try {
+    tray = new Tray(path.join(__dirname, 'assets', 'tray-icon.png'));
+  } catch (error) {
+    // Some Linux desktops have no tray; shortcuts and the window still work
+    tray = null;
+    return;
+  }
+
+  tray.on('click', showMainWindow);
+  updateTrayMenu();
+}
+
+function updateTrayMenu() {
+  if (!tray) {
+    return;
+  }
+
+  const { listening, paused } = session;
+  const { message } = captionStatus;
+  const accelerator = (action) => failedHotkeys.includes(action) ? undefined : hotkeys[action] || undefined;
+
+  tray.setToolTip(`Unmarketable Tomato - ${message}`);
+  tray.setContextMenu(Menu.buildFromTemplate([
+    { label: `Status: ${message}`, enabled: false },
+    { type: 'separator' },
+    {
+      label: listening ? 'Stop Captions' : 'Start Captions',
+      accelerator: accelerator('toggleCaptions'),
+      click: () => runAction('toggleCaptions')
+    },
+    {
+      label: paused ? 'Resume' : 'Pause',
+      enabled: listening,
+      accelerator: accelerator('togglePause'),
+      click: () => runAction('togglePause')
+    },
+    {
+      label: 'Show Overlay',
+      type: 'checkbox',
+      checked: !overlayHiddenByUser,
+      accelerator: accelerator('toggleOverlay'),
+      click: () => runAction('toggleOverlay')
+    },
+    {
+      label: HOTKEY_ACTIONS.clearCaption,
+      accelerator: accelerator('clearCaption'),
+      click: () => runAction('clearCaption')
+    },
+    { type: 'separator' },
+    { label: 'Open Unmarketable Tomato', click: showMainWindow },
+    { label: 'Quit', role: 'quit' }
+  ]));
+}
+
+// (Re)start the caption server for the current settings
+async function applyCaptionServer() {
+  const previous = captionServer;
+  captionServer = null;
+  captionServerError = null;
+  if (previous) {
+    await previous.stop();
+  }
+
+  if (!captionServerSettings.enabled) {
+    return;
+  }
+
+  const server = new CaptionServer(captionServerSettings);
+  server.styles = resolveStyle(settings.activeProfile().style);
+  try {
+    await server.start();
+    captionServer = server;
+  } catch (error) {
+    captionServerError = error.code === 'EADDRINUSE'
+      ? `Port ${captionServerSettings.port} is already in use`
+      : error.message;
+  }
+}
+
+function getCaptionServerState() {
+  return {
+    settings: captionServerSettings,
+    running: Boolean(captionServer && captionServer.running),
+    urls: captionServer ? captionServer.urls() : null,
+    error: captionServerError
+  };
+}
+
+// Move the overlay to its configured display and anchor
+function positionOverlay() {
+  if (!overlayWindow || overlayWindow.isDestroyed() || overlayUnlocked) {
+    return;
+  }
+
+  const display = resolveDisplay(screen, overlayPlacement.displayId);
+  overlayWindow.setBounds(computeBounds(display, overlayPlacement));
+  overlayWindow.webContents.send('overlay-anchor', overlayPlacement.anchor);
+}
+
+function sendToMainWindow(channel, payload) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
+}
+
+function notifyDisplaysChanged() {
+  positionOverlay();
+  sendToMainWindow('displays-changed', getOverlayPlacementState());
+}
+
+function getOverlayPlacementState() {
+  return {
+    displays: describeDisplays(screen),
+    displayId: resolveDisplay(screen, overlayPlacement.displayId).id,
+    anchor: overlayPlacement.anchor,
+    unlocked: overlayUnlocked
+  };
+}
+
+// Unlocked, the overlay takes the mouse so it can be dragged and resized
+function setOverlayUnlocked(unlocked) {
+  if (!overlayWindow || overlayWindow.isDestroyed() || unlocked === overlayUnlocked) {
+    return;
+  }
+
+  overlayUnlocked = unlocked;
+  overlayWindow.setIgnoreMouseEvents(!unlocked);
+  overlayWindow.setResizable(unlocked);
+  overlayWindow.setFocusable(unlocked);
+  overlayWindow.webContents.send('overlay-unlocked', unlocked);
+
+  if (unlocked) {
+    overlayWindow.show();
+    overlayWindow.focus();
+  } else {
+    // Keep wherever the user left it, on the display it ended up on
+    const bounds = overlayWindow.getBounds();
+    overlayPlacement = rememberBounds(overlayPlacement, screen.getDisplayMatching(bounds), bounds);
+    overlayPlacement = settings.set('overlay', overlayPlacement);
+    overlayWindow.blur();
+    positionOverlay();
+  }
+}
+
 app.disableHardwareAcceleration();
 
 app.whenReady().then(() => {
+  protocol.handle(MODULE_SCHEME, async (request) => {
+    const url = new URL(request.url);
+    const source = url.hostname === 'modules'
+      ? await loadBrowserModule(path.basename(url.pathname, '.js')).catch(() => null)
+      : null;
+    if (!source) {
+      return new Response('Not found', { status: 404 });
+    }
+    return new Response(source, { headers: { 'Content-Type': 'text/javascript; charset=utf-8' } });
+  });
+
   createMainWindow();
   createOverlayWindow();
+  createTray();
+
+  hotkeys = settings.get('hotkeys');
+  applyHotkeys();
+
+  captionServerSettings = settings.get('captionServer');
+  applyCaptionServer();
+
+  screen.on('display-added', notifyDisplaysChanged);
+  screen.on('display-removed', notifyDisplaysChanged);
+  screen.on('display-metrics-changed', notifyDisplaysChanged);
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -78,39 +404,375 @@ app.whenReady().then(() => {
   });
 });
 
+app.on('before-quit', () => {
+  quitting = true;
+});
+
+app.on('will-quit', () => {
+  globalShortcut.unregisterAll();
+  session.stop();
+  if (captionServer) {
+    captionServer.stop();
+  }
+});
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
     app.quit();
   }
 });
 
-ipcMain.on('show-overlay', () => {
-  if (overlayWindow && !overlayWindow.isDestroyed()) {
-    overlayWindow.show();
-    overlayWindow.setAlwaysOnTop(true, 'screen-saver');
-    overlayWindow.focus();
-    overlayWindow.blur();  // Remove focus after showing
-  }
-});
+// Every request from the main window is checked against its schema in
+// ipc-schema.js; other pages (and the overlay) can't make any
+function handle(channel, handler) {
+  ipcMain.handle(channel, (event, payload) => {
+    if (!mainWindow || event.sender !== mainWindow.webContents) {
+      throw new Error(`${channel} is only available to the main window`);
+    }
+    return handler(event, checkPayload(channel, payload));
+  });
+}
 
-ipcMain.on('hide-overlay', () => {
-  if (overlayWindow && !overlayWindow.isDestroyed()) {
-    overlayWindow.hide();
+// Captions go to the overlay and the caption server; malformed ones are dropped
+function publishCaption(caption) {
+  let data;
+  try {
+    data = checkCaption(caption);
+  } catch (error) {
+    return;
   }
-});
 
-ipcMain.on('update-caption', (event, data) => {
   if (overlayWindow && !overlayWindow.isDestroyed()) {
     // Make sure overlay is visible when updating captions
-    if (!overlayWindow.isVisible() && data.text && data.text.trim()) {
+    if (!overlayWindow.isVisible() && !overlayHiddenByUser && data.text.trim()) {
       overlayWindow.show();
     }
     overlayWindow.webContents.send('caption-update', data);
   }
-});
+  if (captionServer) {
+    captionServer.publish('caption', data);
+  }
+}
 
-ipcMain.on('update-caption-styles', (event, styles) => {
+// Everyone gets the style as drawn, with accessibility modes applied
+function sendCaptionStyles(style) {
+  const resolved = resolveStyle(style);
   if (overlayWindow && !overlayWindow.isDestroyed()) {
-    overlayWindow.webContents.send('caption-styles', styles);
+    overlayWindow.webContents.send('caption-styles', resolved);
+  }
+  if (captionServer) {
+    captionServer.publish('styles', resolved);
   }
-});
\ No newline at end of file
+}
+
+session.on('status', (state) => {
+  captionStatus = { state: state.type, message: state.message };
+  updateTrayMenu();
+  sendToMainWindow('session-status', state);
+});
+session.on('caption', publishCaption);
+session.on('show-overlay', () => {
+  showOverlay();
+  sendCaptionStyles(settings.activeProfile().style);
+});
+session.on('hide-overlay', hideOverlay);
+session.on('entry', entry => sendToMainWindow('transcript-entry', entry));
+session.on('transcript-clear', () => sendToMainWindow('transcript-clear'));
+session.on('speaker-added', speaker => sendToMainWindow('speaker-added', speaker));
+session.on('speaker-renamed', speaker => sendToMainWindow('speaker-renamed', speaker));
+session.on('speakers-clear', () => sendToMainWindow('speakers-clear'));
+session.on('device-fallback', () => sendToMainWindow('device-fallback'));
+session.on('audio-level', level => sendToMainWindow('audio-level', level));
+session.on('speech-activity', (activity) => {
+  if (overlayWindow && !overlayWindow.isDestroyed()) {
+    overlayWindow.webContents.send('speech-activity', activity);
+  }
+});
+
+handle('get-session', () => session.snapshot());
+
+handle('start-captions', () => session.start(settings.activeProfile()));
+
+handle('stop-captions', () => session.stop());
+
+handle('toggle-pause', () => session.togglePause());
+
+handle('microphone-unplugged', () => session.microphoneUnplugged());
+
+handle('update-transcript-entry', (event, { id, text }) => session.updateEntry(id, text));
+
+handle('clear-transcript', () => session.clearTranscript());
+
+handle('rename-speaker', (event, { tag, name }) => session.renameSpeaker(tag, name));
+
+handle('get-engines', () => ({ backends: listBackends(), providers: listProviders(), defaultBackend: DEFAULT_BACKEND }));
+
+// Styles are saved into the active profile; the overlay and server get the validated copy
+handle('update-caption-styles', (event, styles) => {
+  const profile = settings.updateProfile(settings.get('activeProfile'), { style: styles });
+  sendCaptionStyles(profile.style);
+});
+
+// Show a couple of sample captions so the overlay can be checked without speaking
+handle('test-overlay', () => {
+  showOverlay();
+  sendCaptionStyles(settings.activeProfile().style);
+  setTimeout(() => publishCaption({ text: 'Testing captions: Hello World!', isFinal: false }), 500);
+  setTimeout(() => publishCaption({ text: 'This is a test caption display.', isFinal: true }), 2000);
+  setTimeout(hideOverlay, 7000);
+});
+
+handle('get-overlay-placement', () => getOverlayPlacementState());
+
+handle('set-overlay-placement', (event, { displayId, anchor }) => {
+  if (displayId !== undefined) {
+    overlayPlacement.displayId = displayId;
+  }
+  if (anchor !== undefined) {
+    overlayPlacement.anchor = anchor;
+  }
+  overlayPlacement = settings.set('overlay', overlayPlacement);
+  positionOverlay();
+});
+
+handle('set-overlay-unlocked', (event, unlocked) => {
+  setOverlayUnlocked(unlocked);
+  sendToMainWindow('displays-changed', getOverlayPlacementState());
+});
+
+// Pick a recording and transcribe it; resolves to whether one was chosen
+handle('transcribe-file', async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile'],
+    filters: [
+      { name: 'Audio and Video', extensions: ['wav', 'flac', 'mp3', 'ogg', 'aiff', 'm4a', 'aac', 'opus', 'wma', 'mp4', 'mov', 'mkv', 'webm', 'avi'] },
+      { name: 'All Files', extensions: ['*'] }
+    ]
+  });
+
+  if (canceled || filePaths.length === 0) {
+    return false;
+  }
+  await session.transcribeFile(settings.activeProfile(), filePaths[0]);
+  return true;
+});
+
+// Export the transcript through a save dialog; resolves to the saved path
+handle('export-transcript', async (event, format) => {
+  const profile = settings.activeProfile();
+  const { content, defaultName, extension, label } = session.exportTranscript(format, {
+    language: profile.language,
+    alternativeLanguages: profile.alternativeLanguages,
+    backend: profile.backend
+  });
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: path.join(app.getPath('documents'), `${defaultName}.${extension}`),
+    filters: [{ name: label, extensions: [extension] }]
+  });
+
+  if (canceled || !filePath) {
+    return null;
+  }
+
+  await fs.promises.writeFile(filePath, content, 'utf8');
+  return filePath;
+});
+
+handle('caption-status', (event, status) => {
+  captionStatus = status;
+  updateTrayMenu();
+});
+
+handle('get-hotkeys', () => ({ hotkeys, actions: HOTKEY_ACTIONS, failed: failedHotkeys }));
+
+handle('set-hotkeys', (event, next) => {
+  hotkeys = settings.set('hotkeys', normalizeHotkeys({ ...hotkeys, ...next }));
+  applyHotkeys();
+  return { hotkeys, actions: HOTKEY_ACTIONS, failed: failedHotkeys };
+});
+
+handle('get-caption-server', () => getCaptionServerState());
+
+handle('set-caption-server', async (event, next) => {
+  captionServerSettings = normalizeServerSettings({
+    ...captionServerSettings,
+    ...next,
+    host: next.allowNetwork === undefined ? captionServerSettings.host : (next.allowNetwork ? ALL_INTERFACES : LOCALHOST)
+  });
+  settings.set('captionServer', captionServerSettings);
+  await applyCaptionServer();
+  return getCaptionServerState();
+});
+
+handle('generate-caption-server-token', () => generateToken());
+
+function getProfilesState() {
+  return { profile: settings.activeProfile(), profiles: settings.listProfiles() };
+}
+
+// Switching profiles restyles the overlay straight away
+function profileChanged() {
+  sendCaptionStyles(settings.activeProfile().style);
+  return getProfilesState();
+}
+
+handle('get-settings', () => getProfilesState());
+
+// Earlier versions kept the main window's settings in its localStorage; the
+// window hands them over once, and later copies are ignored
+handle('import-local-storage', (event, stored) => {
+  if (settings.get('pendingLocalStorage')) {
+    settings.importLocalStorage(stored);
+    sendCaptionStyles(settings.activeProfile().style);
+  }
+});
+
+// Language changes also reach a session that is already listening
+handle('update-profile', (event, patch) => {
+  const profile = settings.updateProfile(settings.get('activeProfile'), patch);
+  if (patch.language !== undefined || patch.alternativeLanguages !== undefined) {
+    session.setLanguage(profile.language, profile.alternativeLanguages);
+  }
+  return getProfilesState();
+});
+
+handle('select-profile', (event, id) => {
+  settings.selectProfile(id);
+  return profileChanged();
+});
+
+handle('create-profile', (event, name) => {
+  settings.createProfile(name);
+  return getProfilesState();
+});
+
+handle('delete-profile', () => {
+  settings.deleteProfile(settings.get('activeProfile'));
+  return profileChanged();
+});
+
+handle('export-profile', async () => {
+  const profile = settings.activeProfile();
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: path.join(app.getPath('documents'), `${profile.name}.tomato-profile.json`),
+    filters: [{ name: 'Caption Profile', extensions: ['json'] }]
+  });
+
+  if (canceled || !filePath) {
+    return null;
+  }
+
+  await fs.promises.writeFile(filePath, settings.exportProfile(profile.id), 'utf8');
+  return filePath;
+});
+
+handle('import-profile', async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile'],
+    filters: [
+      { name: 'Caption Profile', extensions: ['json'] },
+      { name: 'All Files', extensions: ['*'] }
+    ]
+  });
+
+  if (canceled || filePaths.length === 0) {
+    return null;
+  }
+
+  settings.importProfile(await fs.promises.readFile(filePaths[0], 'utf8'));
+  return profileChanged();
+});
+
+handle('get-style-presets', () => settings.listStylePresets());
+
+handle('save-style-preset', (event, { name, style }) => {
+  const id = settings.saveStylePreset(name, style);
+  return { id, presets: settings.listStylePresets() };
+});
+
+handle('rename-style-preset', (event, { id, name }) => {
+  settings.renameStylePreset(id, name);
+  return settings.listStylePresets();
+});
+
+handle('delete-style-preset', (event, id) => {
+  settings.deleteStylePreset(id);
+  return settings.listStylePresets();
+});
+
+// Google Cloud setup: a service-account key (kept in the keychain when there is
+// one) or Application Default Credentials, plus project, region and endpoint
+function readServiceAccount() {
+  const stored = secrets.get(SERVICE_ACCOUNT_SECRET);
+  if (stored) {
+    return parseServiceAccount(stored);
+  }
+
+  const { keyFile } = settings.get('cloud');
+  if (!keyFile) {
+    throw new Error('No service-account key chosen. Choose one under Cloud Setup, or switch to Application Default Credentials.');
+  }
+  try {
+    return parseServiceAccount(fs.readFileSync(keyFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Can't use the service-account key ${keyFile}: ${error.message}`);
+  }
+}
+
+function cloudConfig() {
+  const cloud = settings.get('cloud');
+  return { ...cloud, credentials: cloud.auth === 'serviceAccount' ? readServiceAccount() : null };
+}
+
+function getCloudSetupState() {
+  return {
+    settings: settings.get('cloud'),
+    keyStored: secrets.has(SERVICE_ACCOUNT_SECRET),
+    keychain: secrets.available()
+  };
+}
+
+handle('get-cloud-setup', () => getCloudSetupState());
+
+handle('set-cloud-setup', (event, next) => {
+  settings.set('cloud', next);
+  return getCloudSetupState();
+});
+
+// The key goes into the keychain; without one only its location is remembered
+handle('choose-service-account', async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile'],
+    filters: [{ name: 'Service Account Key', extensions: ['json'] }]
+  });
+
+  if (canceled || filePaths.length === 0) {
+    return getCloudSetupState();
+  }
+
+  const json = await fs.promises.readFile(filePaths[0], 'utf8');
+  const key = parseServiceAccount(json);
+  const keychain = secrets.available();
+  if (keychain) {
+    secrets.set(SERVICE_ACCOUNT_SECRET, json);
+  }
+  settings.set('cloud', {
+    auth: 'serviceAccount',
+    keyFile: keychain ? '' : filePaths[0],
+    clientEmail: key.client_email,
+    projectId: settings.get('cloud').projectId || key.project_id
+  });
+  return getCloudSetupState();
+});
+
+handle('forget-service-account', () => {
+  secrets.delete(SERVICE_ACCOUNT_SECRET);
+  settings.set('cloud', { auth: 'adc', keyFile: '', clientEmail: '' });
+  return getCloudSetupState();
+});
+
+// Try the active profile's engine with the current setup; resolves to what was reached
+handle('check-connection', async () => {
+  const profile = settings.activeProfile();
+  return getBackend(profile.backend).checkConnection({ cloud: cloudConfig() }, profile.language);
+});
@@ -0,0 +1,75 @@
+const DEFAULT_HEIGHT = 200;
+const ANCHORS = ['bottom', 'top', 'custom'];
+
+// The chosen display, or the primary one if it has been unplugged
+function resolveDisplay(screen, displayId) {
+    if (displayId !== null && displayId !== undefined) {
+        const display = screen.getAllDisplays().find(d => String(d.id) === String(displayId));
+        if (display) return display;
+    }
+    return screen.getPrimaryDisplay();
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), Math.max(min, max));
+}
+
+function computeBounds(display, placement) {
+    const area = display.workArea;
+    const height = Math.min(placement.height || DEFAULT_HEIGHT, area.height);
+    const custom = placement.anchor === 'custom' ? placement.custom[display.id] : null;
+
+    if (custom) {
+        const width = clamp(custom.width, 200, area.width);
+        const customHeight = clamp(custom.height, 80, area.height);
+        return {
+            x: area.x + clamp(custom.x, 0, area.width - width),
+            y: area.y + clamp(custom.y, 0, area.height - customHeight),
+            width,
+            height: customHeight
+        };
+    }
+
+    return {
+        x: area.x,
+        y: placement.anchor === 'top' ? area.y : area.y + area.height - height,
+        width: area.width,
+        height
+    };
+}
+
+// Store window bounds as the custom geometry for the display they're on
+function rememberBounds(placement, display, bounds) {
+    const area = display.workArea;
+    return {
+        ...placement,
+        displayId: display.id,
+        anchor: 'custom',
+        custom: {
+            ...placement.custom,
+            [display.id]: {
+                x: bounds.x - area.x,
+                y: bounds.y - area.y,
+                width: bounds.width,
+                height: bounds.height
+            }
+        }
+    };
+}
+
+function describeDisplays(screen) {
+    const primary = screen.getPrimaryDisplay();
+    return screen.getAllDisplays().map((display, index) => ({
+        id: display.id,
+        label: `Display ${index + 1} (${display.size.width}×${display.size.height})${display.id === primary.id ? ' - Primary' : ''}`,
+        primary: display.id === primary.id
+    }));
+}
+
+module.exports = {
+    ANCHORS,
+    resolveDisplay,
+    computeBounds,
+    rememberBounds,
+    describeDisplays
+};
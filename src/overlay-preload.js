@@ -0,0 +1,14 @@
+// Runs sandboxed before the overlay page. The overlay only listens: captions,
+// styles and placement come from the main process.
+const { contextBridge, ipcRenderer } = require('electron');
+
+const EVENTS = ['caption-update', 'caption-styles', 'caption-clear', 'overlay-anchor', 'overlay-unlocked', 'speech-activity'];
+
+contextBridge.exposeInMainWorld('overlay', {
+    on(event, listener) {
+        if (!EVENTS.includes(event)) {
+            throw new Error(`Unknown event: ${event}`);
+        }
+        ipcRenderer.on(event, (ipcEvent, payload) => listener(payload));
+    }
+});
@@ -1,98 +1,261 @@
-const { ipcRenderer } = require('electron');
+// Everything arrives from the main process through the overlay global (overlay-preload.js)
+const { CaptionBuffer } = window.modules['caption-buffer'];
+const { captionBoxStyle, interimRule, fitLineLength } = window.modules['caption-style'];
+const { isUncertain } = window.modules['word-confidence'];
+const { hasMaskedWords, maskedWord } = window.modules['profanity'];
 
 const captionElement = document.getElementById('caption');
+const containerElement = document.querySelector('.caption-container');
+const sourceElement = document.getElementById('captionSource');
+const translationElement = document.getElementById('captionTranslation');
 let hideTimeout = null;
+let popOnTimer = null;
+let lastWasFinal = true;
+let lastText = '';
+let needsReset = false;
+let showingPlaceholder = false;
+// With voice activity detection, captions clear once people stop talking;
+// without it, a while after the last final
+const HIDE_AFTER_MS = 5000;
+let voiceActivity = false;
+let speaking = false;
 
-// Function to convert hex to rgba
-function hexToRgba(hex, opacity) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    if (result) {
-        const r = parseInt(result[1], 16);
-        const g = parseInt(result[2], 16);
-        const b = parseInt(result[3], 16);
-        return `rgba(${r}, ${g}, ${b}, ${opacity / 100})`;
-    }
-    return hex;
+const captionBuffer = new CaptionBuffer();
+let lineLengthSetting = 0; // 0 = fit to the overlay width
+let speakerLabels = 'prefix';
+let currentStyle = { fontSize: 28, letterSpacing: 0, maxWidth: 80, paddingX: 25, confidenceHighlight: 'off', confidenceThreshold: 0.6 };
+
+function applyLayout() {
+    captionBuffer.configure({
+        lineLength: lineLengthSetting || fitLineLength(currentStyle, window.innerWidth)
+    });
 }
 
-// Handle caption style updates
-ipcRenderer.on('caption-styles', (event, styles) => {
-    const { bgColor, textColor, fontSize, fontFamily, opacity, glassmorphic } = styles;
+function renderCaption() {
+    const rows = captionBuffer.getLines().map(line => {
+        const row = document.createElement('div');
+        row.className = line.isFinal ? 'caption-row' : 'caption-row interim';
+        renderWords(row, line);
+        if (line.speaker && (speakerLabels === 'color' || speakerLabels === 'both')) {
+            row.style.color = line.speaker.color;
+        }
+        return row;
+    });
+    sourceElement.replaceChildren(...rows);
+}
+
+// Words the recognizer was unsure of get their own span, styled by the body
+// class, and masked profanity gets a bar
+function renderWords(row, line) {
+    const highlight = line.words && currentStyle.confidenceHighlight !== 'off';
+    if (!highlight && !hasMaskedWords(line.text)) {
+        row.textContent = line.text;
+        return;
+    }
     
-    if (glassmorphic) {
-        // Apply glassmorphic styles
-        const bgOpacity = opacity / 100 * 0.3; // Lower opacity for glass effect
-        captionElement.style.background = hexToRgba(bgColor, bgOpacity * 100);
-        captionElement.style.backdropFilter = 'blur(20px) saturate(180%)';
-        captionElement.style.webkitBackdropFilter = 'blur(20px) saturate(180%)';
-        captionElement.style.border = '1px solid rgba(255, 255, 255, 0.18)';
-        captionElement.style.boxShadow = '0 8px 32px rgba(0, 0, 0, 0.3)';
-        captionElement.style.borderRadius = '16px';
-        
-        // Remove old style sheets
-        const existingStyle = document.getElementById('dynamic-caption-styles');
-        if (existingStyle) {
-            existingStyle.remove();
+    const words = highlight ? line.words : line.text.split(' ').map(text => ({ text, confidence: null }));
+    words.forEach((word, i) => {
+        if (i > 0) {
+            row.appendChild(document.createTextNode(' '));
         }
-        
-        // Update interim style for glassmorphic
-        const styleSheet = document.createElement('style');
-        styleSheet.id = 'dynamic-caption-styles';
-        styleSheet.textContent = `
-            .caption-text.interim {
-                background: ${hexToRgba(bgColor, Math.max(15, bgOpacity * 50))} !important;
-                backdrop-filter: blur(15px) saturate(150%) !important;
-                -webkit-backdrop-filter: blur(15px) saturate(150%) !important;
-            }
-        `;
-        document.head.appendChild(styleSheet);
+        row.appendChild(renderWord(word));
+    });
+}
+
+function renderWord(word) {
+    const uncertain = isUncertain(word.confidence, currentStyle.confidenceThreshold);
+    const masked = maskedWord(word.text);
+    if (!uncertain && !masked) {
+        return document.createTextNode(word.text);
+    }
+    
+    const span = document.createElement('span');
+    if (uncertain) {
+        span.className = 'uncertain';
+    }
+    if (masked) {
+        const bar = document.createElement('span');
+        bar.className = 'masked';
+        bar.title = 'Filtered word';
+        span.append(masked.before, bar, masked.after);
     } else {
-        // Apply regular styles (no glassmorphism)
-        captionElement.style.background = hexToRgba(bgColor, opacity);
-        captionElement.style.backdropFilter = 'none';
-        captionElement.style.webkitBackdropFilter = 'none';
-        captionElement.style.border = 'none';
-        captionElement.style.boxShadow = '0 4px 20px rgba(0, 0, 0, 0.5)';
-        captionElement.style.borderRadius = '0';
-        
-        // Remove old style sheets
-        const existingStyle = document.getElementById('dynamic-caption-styles');
-        if (existingStyle) {
-            existingStyle.remove();
+        span.textContent = word.text;
+    }
+    return span;
+}
+
+// Long enough to read what's on screen
+function readingTime() {
+    const shown = captionBuffer.getLines().reduce((sum, line) => sum + line.text.length, 0);
+    return Math.max(1500, shown * 65);
+}
+
+function scheduleHide() {
+    clearTimeout(hideTimeout);
+    if (voiceActivity && speaking) return;
+    
+    hideTimeout = setTimeout(() => {
+        captionElement.classList.remove('show');
+        // Start from an empty screen next time someone speaks
+        needsReset = true;
+    }, voiceActivity ? readingTime() : HIDE_AFTER_MS);
+}
+
+// Show queued pop-on blocks one after another, long enough to read
+function schedulePopOn() {
+    if (popOnTimer) return;
+    
+    popOnTimer = setTimeout(() => {
+        popOnTimer = null;
+        if (captionBuffer.nextBlock()) {
+            renderCaption();
+            schedulePopOn();
         }
-        
-        // Update interim style for regular
-        const styleSheet = document.createElement('style');
-        styleSheet.id = 'dynamic-caption-styles';
-        styleSheet.textContent = `
-            .caption-text.interim {
-                background: ${hexToRgba(bgColor, Math.max(50, opacity - 20))} !important;
-                backdrop-filter: none !important;
-                -webkit-backdrop-filter: none !important;
-            }
-        `;
-        document.head.appendChild(styleSheet);
+        if (!captionBuffer.hasPendingBlocks()) {
+            scheduleHide();
+        }
+    }, readingTime());
+}
+
+window.addEventListener('resize', applyLayout);
+
+// Handle caption style updates
+overlay.on('caption-styles', (styles) => {
+    const { lines, captionMode, lineLength } = styles;
+    speakerLabels = styles.speakerLabels || speakerLabels;
+    currentStyle = styles;
+    document.body.classList.toggle('uncertain-fade', styles.confidenceHighlight === 'fade');
+    document.body.classList.toggle('uncertain-underline', styles.confidenceHighlight === 'underline');
+    
+    Object.assign(captionElement.style, captionBoxStyle(styles));
+    containerElement.style.maxWidth = `${styles.maxWidth}%`;
+    
+    // Interim captions get a lighter background
+    const existingStyle = document.getElementById('dynamic-caption-styles');
+    if (existingStyle) {
+        existingStyle.remove();
     }
+    const styleSheet = document.createElement('style');
+    styleSheet.id = 'dynamic-caption-styles';
+    styleSheet.textContent = interimRule(styles);
+    document.head.appendChild(styleSheet);
     
-    // Apply common styles
-    captionElement.style.color = textColor;
-    captionElement.style.fontSize = fontSize + 'px';
-    captionElement.style.fontFamily = fontFamily;
+    // Caption layout
+    if (captionMode && captionMode !== captionBuffer.mode) {
+        captionBuffer.clear();
+        clearTimeout(popOnTimer);
+        popOnTimer = null;
+    }
+    lineLengthSetting = parseInt(lineLength, 10) || 0;
+    captionBuffer.configure({ maxLines: parseInt(lines, 10), mode: captionMode });
+    applyLayout();
+    renderCaption();
+});
+
+// Keep the caption at the anchored edge of the window
+overlay.on('overlay-anchor', (anchor) => {
+    containerElement.classList.toggle('top', anchor === 'top');
+});
+
+overlay.on('overlay-unlocked', (unlocked) => {
+    document.body.classList.toggle('unlocked', unlocked);
+    
+    // Give the user something to place
+    if (unlocked && !captionElement.classList.contains('show')) {
+        showingPlaceholder = true;
+        captionBuffer.clear();
+        captionBuffer.pushFinal('Captions will appear here');
+        renderCaption();
+        captionElement.className = 'caption-text show';
+    } else if (!unlocked && showingPlaceholder) {
+        showingPlaceholder = false;
+        captionBuffer.clear();
+        renderCaption();
+        captionElement.classList.remove('show');
+    }
+});
+
+// Captions stay up while someone is talking and go once they've stopped. Each
+// session says whether it detects silence at all.
+overlay.on('speech-activity', (activity) => {
+    voiceActivity = activity.detecting;
+    speaking = activity.detecting && activity.speaking;
+    if (speaking) {
+        clearTimeout(hideTimeout);
+    } else if (captionElement.classList.contains('show') && !popOnTimer && !showingPlaceholder) {
+        scheduleHide();
+    }
+});
+
+// Wipe what's on screen; the next caption starts fresh
+overlay.on('caption-clear', () => {
+    clearTimeout(hideTimeout);
+    clearTimeout(popOnTimer);
+    popOnTimer = null;
+    captionBuffer.clear();
+    renderCaption();
+    translationElement.textContent = '';
+    captionElement.classList.remove('show');
+    lastWasFinal = true;
+    lastText = '';
+    needsReset = false;
 });
 
-ipcRenderer.on('caption-update', (event, data) => {
-    const { text, isFinal } = data;
+overlay.on('caption-update', (data) => {
+    const { text, isFinal, translation, speaker, channel = null, confidences = null, language = null } = data;
     
     if (text && text.trim()) {
-        captionElement.textContent = text;
+        // Lets the font pick the right glyphs, e.g. for Chinese and Japanese
+        if (language) {
+            sourceElement.lang = language;
+        }
+        
+        const popOn = captionBuffer.mode === 'pop-on';
+        
+        // Pop-on captions only ever show complete sentences
+        if (popOn && !isFinal) return;
+        
+        if (needsReset || showingPlaceholder) {
+            captionBuffer.clear();
+            needsReset = false;
+            showingPlaceholder = false;
+        }
+        
+        const isNewUtterance = lastWasFinal && text !== lastText;
+        const isRepeat = isFinal && lastWasFinal && text === lastText;
+        
+        // Translated finals are sent again with the same text, only update the translation line
+        if (!isRepeat) {
+            if (isFinal) {
+                const prefixed = speaker && (speakerLabels === 'prefix' || speakerLabels === 'both');
+                const prefix = prefixed ? `${speaker.name}:` : '';
+                const lineConfidences = confidences && prefix
+                    ? [...prefix.split(/\s+/).map(() => null), ...confidences]
+                    : confidences;
+                captionBuffer.pushFinal(prefix ? `${prefix} ${text}` : text, speaker || null, channel, lineConfidences);
+            } else {
+                captionBuffer.setInterim(text, channel);
+            }
+            renderCaption();
+        }
+        
+        // Translations arrive after the original; drop the old one once a new utterance starts
+        if (translation !== undefined) {
+            translationElement.textContent = translation || '';
+        } else if (isNewUtterance) {
+            translationElement.textContent = '';
+        }
+        lastWasFinal = isFinal;
+        lastText = text;
+        
         captionElement.className = `caption-text show ${isFinal ? '' : 'interim'}`;
         
         clearTimeout(hideTimeout);
         
-        if (isFinal) {
-            hideTimeout = setTimeout(() => {
-                captionElement.classList.remove('show');
-            }, 5000);
+        if (popOn && captionBuffer.hasPendingBlocks()) {
+            schedulePopOn();
+        } else if (isFinal && !popOnTimer) {
+            scheduleHide();
         }
     } else {
         captionElement.classList.remove('show');
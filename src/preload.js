@@ -0,0 +1,82 @@
+// Runs sandboxed before the main window's page, which has no Node.js access.
+// This is the page's whole view of the app: one method per request the main
+// process handles (see ipc-schema.js for their payloads) and a few events.
+const { contextBridge, ipcRenderer } = require('electron');
+
+const REQUESTS = {
+    getSettings: 'get-settings',
+    importLocalStorage: 'import-local-storage',
+    getEngines: 'get-engines',
+    updateProfile: 'update-profile',
+    selectProfile: 'select-profile',
+    createProfile: 'create-profile',
+    deleteProfile: 'delete-profile',
+    exportProfile: 'export-profile',
+    importProfile: 'import-profile',
+    updateCaptionStyles: 'update-caption-styles',
+
+    getStylePresets: 'get-style-presets',
+    saveStylePreset: 'save-style-preset',
+    renameStylePreset: 'rename-style-preset',
+    deleteStylePreset: 'delete-style-preset',
+
+    getOverlayPlacement: 'get-overlay-placement',
+    setOverlayPlacement: 'set-overlay-placement',
+    setOverlayUnlocked: 'set-overlay-unlocked',
+    testOverlay: 'test-overlay',
+
+    getHotkeys: 'get-hotkeys',
+    setHotkeys: 'set-hotkeys',
+
+    getCaptionServer: 'get-caption-server',
+    setCaptionServer: 'set-caption-server',
+    generateCaptionServerToken: 'generate-caption-server-token',
+
+    getCloudSetup: 'get-cloud-setup',
+    setCloudSetup: 'set-cloud-setup',
+    chooseServiceAccount: 'choose-service-account',
+    forgetServiceAccount: 'forget-service-account',
+    checkConnection: 'check-connection',
+
+    reportStatus: 'caption-status',
+
+    getSession: 'get-session',
+    startCaptions: 'start-captions',
+    stopCaptions: 'stop-captions',
+    togglePause: 'toggle-pause',
+    microphoneUnplugged: 'microphone-unplugged',
+    transcribeFile: 'transcribe-file',
+    updateTranscriptEntry: 'update-transcript-entry',
+    clearTranscript: 'clear-transcript',
+    exportTranscript: 'export-transcript',
+    renameSpeaker: 'rename-speaker'
+};
+
+const EVENTS = [
+    'session-status',
+    'transcript-entry',
+    'transcript-clear',
+    'speaker-added',
+    'speaker-renamed',
+    'speakers-clear',
+    'device-fallback',
+    'audio-level',
+    'displays-changed'
+];
+
+const api = Object.fromEntries(Object.entries(REQUESTS).map(([name, channel]) => [
+    name,
+    (payload) => ipcRenderer.invoke(channel, payload)
+]));
+
+// Listeners get the payload only, never the IPC event and its sender
+api.on = (event, listener) => {
+    if (!EVENTS.includes(event)) {
+        throw new Error(`Unknown event: ${event}`);
+    }
+    ipcRenderer.on(event, (ipcEvent, payload) => listener(payload));
+};
+
+api.platform = process.platform;
+
+contextBridge.exposeInMainWorld('captions', api);
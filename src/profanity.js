@@ -0,0 +1,20 @@
+// Google's profanity filter keeps a word's first letter and turns the rest
+// into asterisks ("f***"). The overlay draws the asterisks as a solid bar.
+
+// Leading punctuation and the letter, the asterisks, trailing punctuation
+const MASKED_WORD = /^([^\p{L}*]*\p{L})(\*+)([^\p{L}*]*)$/u;
+
+function hasMaskedWords(text) {
+    return /\p{L}\*/u.test(text);
+}
+
+// { before, after } around the masked part of a word, or null if it isn't masked
+function maskedWord(word) {
+    const match = MASKED_WORD.exec(word);
+    return match ? { before: match[1], after: match[3] } : null;
+}
+
+module.exports = {
+    hasMaskedWords,
+    maskedWord
+};
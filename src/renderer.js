@@ -1,16 +1,29 @@
-const { ipcRenderer } = require('electron');
-const SpeechRecognition = require('./speech-recognition');
+// The page has no Node.js access: recognition runs in the main process, reached
+// through the captions global (preload.js), and shared helpers are in window.modules
+const { pickAppearance, captionBoxStyle, resolveStyle, checkContrast } = window.modules['caption-style'];
+const { confidenceWords, isUncertain } = window.modules['word-confidence'];
+const { LANGUAGES, DEFAULT_LANGUAGE, languageLabel, languageList } = window.modules['languages'];
+const { formatTimestamp } = window.modules['timecode'];
+const { parseReplacements, compileReplacements } = window.modules['vocabulary'];
 
-let speechRecognition = null;
 let isListening = false;
+let isPaused = false;
+// The selected profile, as last saved by the main process
+let currentProfile = null;
 
 const startBtn = document.getElementById('startBtn');
 const stopBtn = document.getElementById('stopBtn');
 const testBtn = document.getElementById('testBtn');
 const statusDiv = document.getElementById('status');
+const profileSelect = document.getElementById('profileSelect');
 const languageSelect = document.getElementById('language');
+const alternativeLanguageSelects = [...document.querySelectorAll('.alternative-language')];
+const backendSelect = document.getElementById('backendSelect');
+const diarizationToggle = document.getElementById('diarizationToggle');
 const micSelect = document.getElementById('micSelect');
+const audioSourceSelect = document.getElementById('audioSourceSelect');
 const micMeter = document.getElementById('micMeter');
+const levelWarning = document.getElementById('levelWarning');
 
 // Caption customization elements
 const captionBgColor = document.getElementById('captionBgColor');
@@ -21,6 +34,56 @@ const captionFontFamily = document.getElementById('captionFontFamily');
 const captionOpacity = document.getElementById('captionOpacity');
 const opacityValue = document.getElementById('opacityValue');
 const glassmorphicToggle = document.getElementById('glassmorphicToggle');
+const captionMode = document.getElementById('captionMode');
+const captionLines = document.getElementById('captionLines');
+const captionLinesValue = document.getElementById('captionLinesValue');
+const captionLineLength = document.getElementById('captionLineLength');
+const speakerLabels = document.getElementById('speakerLabels');
+const captionFontWeight = document.getElementById('captionFontWeight');
+const captionTextAlign = document.getElementById('captionTextAlign');
+const captionOutlineColor = document.getElementById('captionOutlineColor');
+const captionShadowColor = document.getElementById('captionShadowColor');
+const captionPreview = document.getElementById('captionPreview');
+const captionPreviewInterim = document.getElementById('captionPreviewInterim');
+const contrastReport = document.getElementById('contrastReport');
+const highContrastToggle = document.getElementById('highContrastToggle');
+const dyslexiaToggle = document.getElementById('dyslexiaToggle');
+const contrastCheck = document.getElementById('contrastCheck');
+const confidenceHighlight = document.getElementById('confidenceHighlight');
+const confidenceThreshold = document.getElementById('confidenceThreshold');
+const confidenceThresholdValue = document.getElementById('confidenceThresholdValue');
+
+// Sliders that map straight onto a style field, labelled with their unit
+const styleRanges = {
+    outlineWidth: document.getElementById('captionOutlineWidth'),
+    shadowOffset: document.getElementById('captionShadowOffset'),
+    shadowBlur: document.getElementById('captionShadowBlur'),
+    letterSpacing: document.getElementById('captionLetterSpacing'),
+    lineHeight: document.getElementById('captionLineHeight'),
+    maxWidth: document.getElementById('captionMaxWidth'),
+    paddingX: document.getElementById('captionPaddingX'),
+    paddingY: document.getElementById('captionPaddingY'),
+    cornerRadius: document.getElementById('captionCornerRadius')
+};
+
+// Transcript elements
+const transcriptSection = document.getElementById('transcriptSection');
+const transcriptHistory = document.getElementById('transcriptHistory');
+const openFileBtn = document.getElementById('openFileBtn');
+const clearTranscriptBtn = document.getElementById('clearTranscriptBtn');
+const speakerList = document.getElementById('speakerList');
+
+// Speakers heard this session, by tag
+const speakers = new Map();
+
+// Translation elements
+const translationProvider = document.getElementById('translationProvider');
+const translationTarget = document.getElementById('translationTarget');
+const translationMode = document.getElementById('translationMode');
+const libreTranslateUrl = document.getElementById('libreTranslateUrl');
+
+// Recognition engines and translators the main process offers
+let engines = { backends: [], providers: [], defaultBackend: null };
 
 let audioContext = null;
 let analyser = null;
@@ -43,14 +106,34 @@ function updateStatus(message, type = 'ready') {
     const displayMessage = simpleMessages[message] || message;
     statusDiv.textContent = displayMessage;
     statusDiv.className = `status ${type}`;
+    // Errors interrupt a screen reader, everything else waits its turn
+    statusDiv.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    reportStatus();
+}
+
+// Keep the tray menu in step with the window
+function reportStatus() {
+    captions.reportStatus({
+        state: statusDiv.className.replace('status ', ''),
+        message: statusDiv.textContent
+    });
 }
 
 function updateUI(listening) {
     isListening = listening;
+    isPaused = false;
     startBtn.style.display = listening ? 'none' : 'block';
     stopBtn.style.display = listening ? 'block' : 'none';
-    languageSelect.disabled = listening;
+    profileSelect.disabled = listening;
+    backendSelect.disabled = listening;
+    updateDiarizationToggle();
+    updateRecognitionControls();
+    updateAudioProcessingControls();
+    translationProvider.disabled = listening;
+    translationTarget.disabled = listening;
     micSelect.disabled = listening;
+    audioSourceSelect.disabled = listening;
+    openFileBtn.disabled = listening;
 }
 
 // Initialize audio context and analyser for mic meter
@@ -131,9 +214,37 @@ function stopAudioMeter() {
     }
     
     analyser = null;
-    micMeter.style.width = '0%';
+    showCaptureLevel(null);
 }
 
+// While listening the meter shows the audio going to the recognizer, after
+// cleanup; the level's dBFS from -60 to 0 fills the bar
+const METER_FLOOR_DB = -60;
+
+function showCaptureLevel(level) {
+    const db = level && level.level !== null ? level.level : METER_FLOOR_DB;
+    micMeter.style.width = `${Math.max(0, Math.min(100, ((db - METER_FLOOR_DB) / -METER_FLOOR_DB) * 100))}%`;
+    micMeter.classList.toggle('clipping', Boolean(level && level.clipping));
+    micMeter.classList.toggle('quiet', Boolean(level && level.quiet));
+
+    let warning = '';
+    if (level && level.clipping) {
+        warning = 'Clipping: lower the input gain or the microphone volume';
+    } else if (level && level.quiet) {
+        warning = 'Very quiet: raise the input gain, turn on Automatic Gain or move closer';
+    }
+    // Only touch the live region when the warning changes, so it isn't re-announced
+    if (levelWarning.textContent !== warning) {
+        levelWarning.textContent = warning;
+    }
+}
+
+captions.on('audio-level', (level) => {
+    if (isListening) {
+        showCaptureLevel(level);
+    }
+});
+
 // Load available microphones
 async function loadMicrophones() {
     try {
@@ -151,31 +262,296 @@ async function loadMicrophones() {
             const option = document.createElement('option');
             option.value = mic.deviceId;
             option.textContent = mic.label || `Microphone ${mic.deviceId.substr(0, 8)}`;
+            option.dataset.label = mic.label;
             micSelect.appendChild(option);
         });
         
-        
-        // Initialize meter with default device
-        await initAudioMeter();
+        selectSavedMicrophone();
+        await initAudioMeter(micSelect.value);
     } catch (error) {
         updateStatus('Failed to access microphones', 'error');
     }
 }
 
+// Devices are remembered by label, their IDs change between sessions
+function selectSavedMicrophone() {
+    const label = currentProfile ? currentProfile.device : '';
+    const option = Array.from(micSelect.options).find(o => label && o.dataset.label === label);
+    micSelect.value = option ? option.value : '';
+}
+
 // Load microphones on startup
 loadMicrophones();
 
-// Load saved caption settings or set defaults
-function loadCaptionSettings() {
-    const settings = {
-        bgColor: localStorage.getItem('captionBgColor') || '#ff6347',
-        textColor: localStorage.getItem('captionTextColor') || '#ffffff',
-        fontSize: localStorage.getItem('captionFontSize') || '28',
-        fontFamily: localStorage.getItem('captionFontFamily') || 'Arial, sans-serif',
-        opacity: localStorage.getItem('captionOpacity') || '85',
-        glassmorphic: localStorage.getItem('captionGlassmorphic') !== 'false' // Default to true
+// Populate recognition engines
+function loadBackends() {
+    engines.backends.forEach(backend => {
+        const option = document.createElement('option');
+        option.value = backend.id;
+        option.textContent = backend.label;
+        backendSelect.appendChild(option);
+    });
+    backendSelect.value = engines.defaultBackend;
+}
+
+// Speaker diarization is only offered by some engines
+function updateDiarizationToggle() {
+    const backend = engines.backends.find(b => b.id === backendSelect.value);
+    diarizationToggle.disabled = isListening || !(backend && backend.supportsDiarization);
+}
+
+backendSelect.addEventListener('change', () => {
+    saveProfile({ backend: backendSelect.value });
+    updateDiarizationToggle();
+    updateAlternativeLanguages();
+    updateRecognitionControls();
+});
+
+diarizationToggle.addEventListener('change', () => {
+    saveProfile({ diarization: diarizationToggle.checked });
+});
+
+audioSourceSelect.addEventListener('change', () => {
+    saveProfile({ audioSource: audioSourceSelect.value });
+});
+
+// Recognition languages, plus up to three others to listen for
+function loadLanguages() {
+    const addOptions = (select) => {
+        LANGUAGES.forEach(language => {
+            const option = document.createElement('option');
+            option.value = language.code;
+            option.textContent = language.label;
+            select.appendChild(option);
+        });
     };
     
+    addOptions(languageSelect);
+    alternativeLanguageSelects.forEach(select => {
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'None';
+        select.appendChild(none);
+        addOptions(select);
+    });
+}
+
+function selectedAlternativeLanguages() {
+    return languageList(languageSelect.value, alternativeLanguageSelects.map(select => select.value)).slice(1);
+}
+
+function updateAlternativeLanguages() {
+    const backend = engines.backends.find(b => b.id === backendSelect.value);
+    const supported = Boolean(backend && backend.supportsLanguageDetection);
+    alternativeLanguageSelects.forEach(select => {
+        select.disabled = !supported;
+    });
+}
+
+// Languages can change mid-session; the main process passes them on to the recognizer
+function changeLanguages() {
+    saveProfile({ language: languageSelect.value, alternativeLanguages: selectedAlternativeLanguages() });
+}
+
+loadLanguages();
+
+languageSelect.addEventListener('change', changeLanguages);
+alternativeLanguageSelects.forEach(select => {
+    select.addEventListener('change', changeLanguages);
+});
+
+// Model and features asked of the engine, fixed while captions run
+const recognitionModel = document.getElementById('recognitionModel');
+const enhancedToggle = document.getElementById('enhancedToggle');
+const punctuationToggle = document.getElementById('punctuationToggle');
+const spokenPunctuationToggle = document.getElementById('spokenPunctuationToggle');
+const spokenEmojisToggle = document.getElementById('spokenEmojisToggle');
+const profanityFilterToggle = document.getElementById('profanityFilterToggle');
+const interimResultsToggle = document.getElementById('interimResultsToggle');
+const audioEncoding = document.getElementById('audioEncoding');
+const sampleRateSelect = document.getElementById('sampleRateSelect');
+const voiceActivityToggle = document.getElementById('voiceActivityToggle');
+const speechThreshold = document.getElementById('speechThreshold');
+const speechThresholdValue = document.getElementById('speechThresholdValue');
+const speechHangover = document.getElementById('speechHangover');
+const speechHangoverValue = document.getElementById('speechHangoverValue');
+
+function loadRecognitionSettings(settings) {
+    recognitionModel.value = settings.model;
+    enhancedToggle.checked = settings.enhanced;
+    punctuationToggle.checked = settings.automaticPunctuation;
+    spokenPunctuationToggle.checked = settings.spokenPunctuation;
+    spokenEmojisToggle.checked = settings.spokenEmojis;
+    profanityFilterToggle.checked = settings.profanityFilter;
+    interimResultsToggle.checked = settings.interimResults;
+    audioEncoding.value = settings.encoding;
+    sampleRateSelect.value = String(settings.sampleRate);
+}
+
+function loadVoiceActivitySettings(settings) {
+    voiceActivityToggle.checked = settings.enabled;
+    speechThreshold.value = settings.threshold;
+    speechHangover.value = settings.hangoverMs;
+    updateVoiceActivityLabels();
+}
+
+function updateVoiceActivityLabels() {
+    speechThresholdValue.textContent = `${speechThreshold.value} dB`;
+    speechThreshold.setAttribute('aria-valuetext', `${speechThreshold.value} decibels`);
+    const seconds = (Number(speechHangover.value) / 1000).toFixed(1);
+    speechHangoverValue.textContent = `${seconds} s`;
+    speechHangover.setAttribute('aria-valuetext', `${seconds} seconds`);
+}
+
+// Only what the selected engine can do is offered
+function updateRecognitionControls() {
+    const backend = engines.backends.find(b => b.id === backendSelect.value) || {};
+    recognitionModel.disabled = isListening || !backend.supportsModels;
+    enhancedToggle.disabled = isListening || !backend.supportsModels;
+    [punctuationToggle, spokenPunctuationToggle, spokenEmojisToggle].forEach(toggle => {
+        toggle.disabled = isListening || !backend.supportsPunctuation;
+    });
+    profanityFilterToggle.disabled = isListening || !backend.supportsProfanityFilter;
+    interimResultsToggle.disabled = isListening;
+    Array.from(audioEncoding.options).forEach(option => {
+        option.disabled = !(backend.encodings || ['linear16']).includes(option.value);
+    });
+    audioEncoding.disabled = isListening;
+    sampleRateSelect.disabled = isListening;
+    voiceActivityToggle.disabled = isListening;
+    speechThreshold.disabled = isListening || !voiceActivityToggle.checked;
+    speechHangover.disabled = isListening || !voiceActivityToggle.checked;
+}
+
+function saveRecognitionSettings() {
+    saveProfile({
+        recognition: {
+            model: recognitionModel.value,
+            enhanced: enhancedToggle.checked,
+            automaticPunctuation: punctuationToggle.checked,
+            spokenPunctuation: spokenPunctuationToggle.checked,
+            spokenEmojis: spokenEmojisToggle.checked,
+            profanityFilter: profanityFilterToggle.checked,
+            interimResults: interimResultsToggle.checked,
+            encoding: audioEncoding.value,
+            sampleRate: Number(sampleRateSelect.value)
+        }
+    });
+}
+
+[recognitionModel, enhancedToggle, punctuationToggle, spokenPunctuationToggle, spokenEmojisToggle,
+    profanityFilterToggle, interimResultsToggle, audioEncoding, sampleRateSelect].forEach(control => {
+    control.addEventListener('change', saveRecognitionSettings);
+});
+
+function saveVoiceActivitySettings() {
+    saveProfile({
+        voiceActivity: {
+            enabled: voiceActivityToggle.checked,
+            threshold: Number(speechThreshold.value),
+            hangoverMs: Number(speechHangover.value)
+        }
+    });
+}
+
+voiceActivityToggle.addEventListener('change', () => {
+    saveVoiceActivitySettings();
+    updateRecognitionControls();
+});
+[speechThreshold, speechHangover].forEach(input => {
+    input.addEventListener('input', updateVoiceActivityLabels);
+    input.addEventListener('change', saveVoiceActivitySettings);
+});
+
+// Cleanup of captured audio before recognition
+const inputGain = document.getElementById('inputGain');
+const inputGainValue = document.getElementById('inputGainValue');
+const highPassSelect = document.getElementById('highPassSelect');
+const noiseSuppressionSelect = document.getElementById('noiseSuppressionSelect');
+const autoGainToggle = document.getElementById('autoGainToggle');
+
+function loadAudioProcessingSettings(settings) {
+    inputGain.value = settings.gain;
+    highPassSelect.value = String(settings.highPass);
+    noiseSuppressionSelect.value = settings.noiseSuppression;
+    autoGainToggle.checked = settings.autoGain;
+    updateInputGainLabel();
+}
+
+function updateInputGainLabel() {
+    const gain = Number(inputGain.value);
+    inputGainValue.textContent = `${gain > 0 ? '+' : ''}${gain} dB`;
+    inputGain.setAttribute('aria-valuetext', `${gain} decibels`);
+}
+
+function updateAudioProcessingControls() {
+    [inputGain, highPassSelect, noiseSuppressionSelect, autoGainToggle].forEach(control => {
+        control.disabled = isListening;
+    });
+}
+
+function saveAudioProcessingSettings() {
+    saveProfile({
+        audioProcessing: {
+            gain: Number(inputGain.value),
+            highPass: Number(highPassSelect.value),
+            noiseSuppression: noiseSuppressionSelect.value,
+            autoGain: autoGainToggle.checked
+        }
+    });
+}
+
+inputGain.addEventListener('input', updateInputGainLabel);
+[inputGain, highPassSelect, noiseSuppressionSelect, autoGainToggle].forEach(control => {
+    control.addEventListener('change', saveAudioProcessingSettings);
+});
+
+// Custom vocabulary
+const vocabularyPhrases = document.getElementById('vocabularyPhrases');
+const vocabularyReplacements = document.getElementById('vocabularyReplacements');
+
+vocabularyPhrases.addEventListener('change', () => {
+    saveProfile({ vocabulary: { phrases: vocabularyPhrases.value } });
+});
+
+vocabularyReplacements.addEventListener('change', () => {
+    saveProfile({ vocabulary: { replacements: vocabularyReplacements.value } });
+    try {
+        compileReplacements(parseReplacements(vocabularyReplacements.value));
+        updateStatus(isListening ? 'Listening for speech...' : 'Ready to start', isListening ? 'listening' : 'ready');
+    } catch (error) {
+        updateStatus(error.message, 'error');
+    }
+});
+
+// Populate translation providers
+function loadTranslationProviders() {
+    engines.providers.forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.label;
+        translationProvider.appendChild(option);
+    });
+}
+
+function saveTranslationSettings() {
+    saveProfile({
+        translation: {
+            provider: translationProvider.value,
+            target: translationTarget.value,
+            mode: translationMode.value,
+            libreTranslateUrl: libreTranslateUrl.value.trim()
+        }
+    });
+}
+
+[translationProvider, translationTarget, translationMode].forEach(select => {
+    select.addEventListener('change', saveTranslationSettings);
+});
+libreTranslateUrl.addEventListener('change', saveTranslationSettings);
+
+// Show a profile's caption style in the controls
+function loadCaptionSettings(settings) {
     captionBgColor.value = settings.bgColor;
     captionTextColor.value = settings.textColor;
     captionFontSize.value = settings.fontSize;
@@ -184,21 +560,76 @@ function loadCaptionSettings() {
     captionOpacity.value = settings.opacity;
     opacityValue.textContent = settings.opacity + '%';
     glassmorphicToggle.checked = settings.glassmorphic;
+    captionMode.value = settings.captionMode;
+    captionLines.value = settings.lines;
+    captionLinesValue.textContent = settings.lines;
+    captionLineLength.value = settings.lineLength;
+    speakerLabels.value = settings.speakerLabels;
+    captionFontWeight.value = settings.fontWeight;
+    captionTextAlign.value = settings.textAlign;
+    captionOutlineColor.value = settings.outlineColor;
+    captionShadowColor.value = settings.shadowColor;
+    highContrastToggle.checked = settings.highContrast;
+    dyslexiaToggle.checked = settings.dyslexiaFriendly;
+    contrastCheck.value = settings.contrastCheck;
+    confidenceHighlight.value = settings.confidenceHighlight;
+    confidenceThreshold.value = Math.round(settings.confidenceThreshold * 100);
+    updateThresholdLabel();
+    Object.entries(styleRanges).forEach(([key, input]) => {
+        input.value = settings[key];
+        updateRangeLabel(input);
+    });
     
     // Update opacity label based on glassmorphic state
     updateOpacityLabel(settings.glassmorphic);
+    renderPreview();
+}
+
+function updateThresholdLabel() {
+    confidenceThresholdValue.textContent = `${confidenceThreshold.value}%`;
+    confidenceThreshold.setAttribute('aria-valuetext', `${confidenceThreshold.value}% confidence`);
+}
+
+function updateRangeLabel(input) {
+    const label = document.querySelector(`.range-value[data-for="${input.id}"]`);
+    if (label) {
+        label.textContent = input.value + input.dataset.unit;
+    }
+    input.setAttribute('aria-valuetext', input.value + input.dataset.unit);
+}
+
+// The preview uses the same CSS as the overlay, after accessibility modes
+function renderPreview() {
+    const style = getCaptionSettings();
+    const resolved = resolveStyle(style);
+    Object.assign(captionPreview.style, captionBoxStyle(resolved));
+    captionPreview.style.maxWidth = `${resolved.maxWidth}%`;
+    captionPreviewInterim.style.fontStyle = resolved.interimItalic ? 'italic' : 'normal';
     
-    return settings;
+    // The value labels are hidden from screen readers, so describe the sliders themselves
+    captionFontSize.setAttribute('aria-valuetext', fontSizeValue.textContent);
+    captionOpacity.setAttribute('aria-valuetext', opacityValue.textContent);
+    captionLines.setAttribute('aria-valuetext', `${captionLines.value} lines`);
+    
+    renderContrastReport(style, resolved);
 }
 
-// Save caption settings
-function saveCaptionSettings() {
-    localStorage.setItem('captionBgColor', captionBgColor.value);
-    localStorage.setItem('captionTextColor', captionTextColor.value);
-    localStorage.setItem('captionFontSize', captionFontSize.value);
-    localStorage.setItem('captionFontFamily', captionFontFamily.value);
-    localStorage.setItem('captionOpacity', captionOpacity.value);
-    localStorage.setItem('captionGlassmorphic', glassmorphicToggle.checked);
+function renderContrastReport(style, resolved) {
+    const chosen = checkContrast(style);
+    const drawn = checkContrast(resolved);
+    const ratio = (value) => `${value.toFixed(1)}:1`;
+    
+    if (style.highContrast) {
+        contrastReport.textContent = `High contrast on: ${ratio(drawn.ratio)}, meets WCAG ${drawn.level}`;
+    } else if (!chosen.level && drawn.level) {
+        contrastReport.textContent = `Contrast ${ratio(chosen.ratio)} is too low; captions are adjusted to ${ratio(drawn.ratio)} (WCAG ${drawn.level})`;
+    } else if (drawn.level) {
+        contrastReport.textContent = `Contrast ${ratio(drawn.ratio)}, meets WCAG ${drawn.level}`;
+    } else {
+        contrastReport.textContent = `Contrast ${ratio(drawn.ratio)} is below the WCAG minimum of ${drawn.minimum}:1 for this text size. ` +
+            'Try a more solid background, other colours or an outline, or let it be fixed automatically.';
+    }
+    contrastReport.classList.toggle('fail', !drawn.level);
 }
 
 // Get current caption settings
@@ -209,7 +640,21 @@ function getCaptionSettings() {
         fontSize: captionFontSize.value,
         fontFamily: captionFontFamily.value,
         opacity: captionOpacity.value,
-        glassmorphic: glassmorphicToggle.checked
+        glassmorphic: glassmorphicToggle.checked,
+        captionMode: captionMode.value,
+        lines: captionLines.value,
+        lineLength: captionLineLength.value,
+        speakerLabels: speakerLabels.value,
+        fontWeight: captionFontWeight.value,
+        textAlign: captionTextAlign.value,
+        highContrast: highContrastToggle.checked,
+        dyslexiaFriendly: dyslexiaToggle.checked,
+        contrastCheck: contrastCheck.value,
+        confidenceHighlight: confidenceHighlight.value,
+        confidenceThreshold: Number(confidenceThreshold.value) / 100,
+        outlineColor: captionOutlineColor.value,
+        shadowColor: captionShadowColor.value,
+        ...Object.fromEntries(Object.entries(styleRanges).map(([key, input]) => [key, input.value]))
     };
 }
 
@@ -221,18 +666,33 @@ function updateOpacityLabel(isGlassmorphic) {
     }
 }
 
-// Initialize caption settings
-const initialSettings = loadCaptionSettings();
-
-// Update caption styles in overlay
+// The main process saves styles to the profile and passes them on to the overlay
 function updateCaptionStyles() {
-    saveCaptionSettings();
-    ipcRenderer.send('update-caption-styles', getCaptionSettings());
+    renderPreview();
+    captions.updateCaptionStyles(getCaptionSettings())
+        .catch(error => updateStatus(remoteErrorMessage(error), 'error'));
 }
 
-// Caption style presets (opacity is higher for glassmorphic effect)
+// Built-in caption style presets (opacity is higher for glassmorphic effect);
+// they also reset the text effects from the advanced editor
+const PLAIN_TEXT = {
+    fontWeight: '600',
+    outlineWidth: '0',
+    outlineColor: '#000000',
+    shadowColor: '#000000',
+    shadowOffset: '0',
+    shadowBlur: '0',
+    letterSpacing: '0',
+    lineHeight: '1.4',
+    maxWidth: '80',
+    textAlign: 'center',
+    paddingX: '25',
+    paddingY: '15'
+};
+
 const captionPresets = {
     tomato: {
+        ...PLAIN_TEXT,
         bgColor: '#ff6347',
         textColor: '#ffffff',
         fontSize: '28',
@@ -240,6 +700,7 @@ const captionPresets = {
         opacity: '85'
     },
     black: {
+        ...PLAIN_TEXT,
         bgColor: '#000000',
         textColor: '#ffffff',
         fontSize: '24',
@@ -247,6 +708,7 @@ const captionPresets = {
         opacity: '75'
     },
     white: {
+        ...PLAIN_TEXT,
         bgColor: '#ffffff',
         textColor: '#000000',
         fontSize: '24',
@@ -255,19 +717,17 @@ const captionPresets = {
     }
 };
 
-// Apply a preset
+// Apply a preset's appearance, keeping the layout settings
+function applyAppearance(appearance) {
+    loadCaptionSettings({ ...getCaptionSettings(), ...appearance });
+    updateCaptionStyles();
+}
+
 function applyPreset(presetName) {
     const preset = captionPresets[presetName];
     if (preset) {
-        captionBgColor.value = preset.bgColor;
-        captionTextColor.value = preset.textColor;
-        captionFontSize.value = preset.fontSize;
-        fontSizeValue.textContent = preset.fontSize + 'px';
-        captionFontFamily.value = preset.fontFamily;
-        captionOpacity.value = preset.opacity;
-        opacityValue.textContent = preset.opacity + '%';
-        
-        updateCaptionStyles();
+        applyAppearance(preset);
+        stylePresetSelect.value = '';
     }
 }
 
@@ -285,17 +745,327 @@ captionBgColor.addEventListener('change', updateCaptionStyles);
 captionTextColor.addEventListener('change', updateCaptionStyles);
 captionFontSize.addEventListener('input', () => {
     fontSizeValue.textContent = captionFontSize.value + 'px';
-    updateCaptionStyles();
+    renderPreview();
 });
 captionFontFamily.addEventListener('change', updateCaptionStyles);
 captionOpacity.addEventListener('input', () => {
     opacityValue.textContent = captionOpacity.value + '%';
-    updateCaptionStyles();
+    renderPreview();
 });
 glassmorphicToggle.addEventListener('change', () => {
     updateOpacityLabel(glassmorphicToggle.checked);
     updateCaptionStyles();
 });
+captionMode.addEventListener('change', updateCaptionStyles);
+captionLines.addEventListener('input', () => {
+    captionLinesValue.textContent = captionLines.value;
+    renderPreview();
+});
+captionLineLength.addEventListener('change', updateCaptionStyles);
+speakerLabels.addEventListener('change', updateCaptionStyles);
+[captionFontWeight, captionTextAlign, captionOutlineColor, captionShadowColor, highContrastToggle, dyslexiaToggle, contrastCheck, confidenceHighlight].forEach(control => {
+    control.addEventListener('change', updateCaptionStyles);
+});
+confidenceThreshold.addEventListener('input', () => {
+    updateThresholdLabel();
+    renderPreview();
+});
+Object.values(styleRanges).forEach(input => {
+    input.addEventListener('input', () => {
+        updateRangeLabel(input);
+        renderPreview();
+    });
+});
+// Sliders only preview while they are dragged, and save once let go
+[captionFontSize, captionOpacity, captionLines, confidenceThreshold, ...Object.values(styleRanges)].forEach(slider => {
+    slider.addEventListener('change', updateCaptionStyles);
+});
+
+// User-defined presets, shared by all profiles
+const stylePresetSelect = document.getElementById('stylePresetSelect');
+const stylePresetName = document.getElementById('stylePresetName');
+const saveStylePresetBtn = document.getElementById('saveStylePresetBtn');
+const renameStylePresetBtn = document.getElementById('renameStylePresetBtn');
+const deleteStylePresetBtn = document.getElementById('deleteStylePresetBtn');
+let stylePresets = [];
+
+function renderStylePresets(presets, selectedId = stylePresetSelect.value) {
+    stylePresets = presets;
+    stylePresetSelect.innerHTML = `<option value="">${presets.length > 0 ? 'Choose a preset...' : 'None saved'}</option>`;
+    presets.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.textContent = preset.name;
+        stylePresetSelect.appendChild(option);
+    });
+    stylePresetSelect.value = presets.some(preset => preset.id === selectedId) ? selectedId : '';
+    renameStylePresetBtn.disabled = !stylePresetSelect.value;
+    deleteStylePresetBtn.disabled = !stylePresetSelect.value;
+}
+
+function stylePresetAction(request, selectedId) {
+    request
+        .then(presets => renderStylePresets(presets, selectedId))
+        .catch(error => updateStatus(remoteErrorMessage(error), 'error'));
+}
+
+captions.getStylePresets().then(presets => renderStylePresets(presets));
+
+stylePresetSelect.addEventListener('change', () => {
+    const preset = stylePresets.find(p => p.id === stylePresetSelect.value);
+    renameStylePresetBtn.disabled = !preset;
+    deleteStylePresetBtn.disabled = !preset;
+    if (preset) {
+        stylePresetName.value = preset.name;
+        applyAppearance(preset.style);
+    }
+});
+
+saveStylePresetBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    const name = stylePresetName.value.trim();
+    captions.saveStylePreset({ name, style: pickAppearance(getCaptionSettings()) })
+        .then(({ id, presets }) => renderStylePresets(presets, id))
+        .catch(error => updateStatus(remoteErrorMessage(error), 'error'));
+});
+
+renameStylePresetBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    const id = stylePresetSelect.value;
+    stylePresetAction(captions.renameStylePreset({ id, name: stylePresetName.value }), id);
+});
+
+deleteStylePresetBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    const preset = stylePresets.find(p => p.id === stylePresetSelect.value);
+    if (preset && window.confirm(`Delete the "${preset.name}" preset?`)) {
+        stylePresetName.value = '';
+        stylePresetAction(captions.deleteStylePreset(preset.id), '');
+    }
+});
+
+// Entry text with uncertain words underlined; their confidence shows on hover
+function renderEntryText(element, entry) {
+    const threshold = Number(confidenceThreshold.value) / 100;
+    const words = confidenceWords(entry.text, entry.words);
+    
+    if (!words.some(word => isUncertain(word.confidence, threshold))) {
+        element.textContent = entry.text;
+        return;
+    }
+    
+    element.replaceChildren();
+    words.forEach((word, i) => {
+        if (i > 0) {
+            element.appendChild(document.createTextNode(' '));
+        }
+        if (isUncertain(word.confidence, threshold)) {
+            const span = document.createElement('span');
+            span.className = 'uncertain';
+            span.title = `${Math.round(word.confidence * 100)}% confident`;
+            span.textContent = word.text;
+            element.appendChild(span);
+        } else {
+            element.appendChild(document.createTextNode(word.text));
+        }
+    });
+}
+
+// Render a final result into the history panel; entries are kept by the main process
+function appendTranscriptEntry(entry) {
+    const emptyMessage = transcriptHistory.querySelector('.transcript-empty');
+    if (emptyMessage) {
+        emptyMessage.remove();
+    }
+    
+    // Only follow new entries if the user hasn't scrolled up
+    const atBottom = transcriptHistory.scrollHeight - transcriptHistory.scrollTop - transcriptHistory.clientHeight < 20;
+    
+    const row = document.createElement('div');
+    row.className = 'transcript-entry';
+    
+    const time = document.createElement('span');
+    time.className = 'transcript-time';
+    time.textContent = formatTimestamp(entry.start).slice(0, 8);
+    row.appendChild(time);
+    
+    // Lines in a language other than the main one are tagged with it
+    const otherLanguage = entry.language && entry.language !== languageSelect.value ? languageLabel(entry.language) : null;
+    if (otherLanguage) {
+        const tag = document.createElement('span');
+        tag.className = 'transcript-language';
+        tag.title = otherLanguage;
+        tag.setAttribute('aria-hidden', 'true');
+        tag.textContent = entry.language.split('-')[0].toUpperCase();
+        row.appendChild(tag);
+    }
+    
+    const speaker = entry.speaker && speakers.get(entry.speaker.tag);
+    if (speaker) {
+        const name = document.createElement('span');
+        name.className = 'transcript-speaker';
+        name.dataset.speaker = speaker.tag;
+        name.style.color = speaker.color;
+        name.textContent = `${speaker.name}:`;
+        row.appendChild(name);
+    }
+    
+    // Editable for review; clearing a line removes it from the transcript
+    const text = document.createElement('span');
+    text.className = 'transcript-text';
+    text.setAttribute('role', 'textbox');
+    text.setAttribute('aria-label', `Caption at ${formatTimestamp(entry.start).slice(0, 8)}${speaker ? ` by ${speaker.name}` : ''}${otherLanguage ? ` in ${otherLanguage}` : ''}`);
+    if (entry.language) {
+        text.lang = entry.language;
+    }
+    text.contentEditable = 'plaintext-only';
+    text.spellcheck = true;
+    renderEntryText(text, entry);
+    text.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            text.blur();
+        }
+    });
+    text.addEventListener('blur', () => {
+        captions.updateTranscriptEntry({ id: entry.id, text: text.textContent })
+            .then(updated => {
+                if (updated) {
+                    renderEntryText(text, updated);
+                } else {
+                    row.remove();
+                }
+            })
+            .catch(error => updateStatus(remoteErrorMessage(error), 'error'));
+    });
+    row.appendChild(text);
+    transcriptHistory.appendChild(row);
+    
+    if (atBottom) {
+        transcriptHistory.scrollTop = transcriptHistory.scrollHeight;
+    }
+}
+
+captions.on('transcript-entry', appendTranscriptEntry);
+
+captions.on('transcript-clear', () => {
+    transcriptHistory.innerHTML = '<div class="transcript-empty">Final captions will appear here</div>';
+});
+
+// Speaker list with editable names
+function addSpeaker(speaker) {
+    speakers.set(speaker.tag, speaker);
+    
+    const row = document.createElement('div');
+    row.className = 'control-group speaker-row';
+    
+    const swatch = document.createElement('span');
+    swatch.className = 'speaker-swatch';
+    swatch.setAttribute('aria-hidden', 'true');
+    swatch.style.background = speaker.color;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = speaker.name;
+    input.dataset.speaker = speaker.tag;
+    input.setAttribute('aria-label', `Name for speaker ${speaker.tag}`);
+    input.addEventListener('change', () => {
+        captions.renameSpeaker({ tag: speaker.tag, name: input.value })
+            .catch(error => updateStatus(remoteErrorMessage(error), 'error'));
+    });
+    
+    row.appendChild(swatch);
+    row.appendChild(input);
+    speakerList.appendChild(row);
+}
+
+captions.on('speaker-added', addSpeaker);
+
+captions.on('speaker-renamed', (speaker) => {
+    speakers.set(speaker.tag, speaker);
+    speakerList.querySelectorAll(`input[data-speaker="${speaker.tag}"]`).forEach(input => {
+        input.value = speaker.name;
+    });
+    transcriptHistory.querySelectorAll(`.transcript-speaker[data-speaker="${speaker.tag}"]`).forEach(label => {
+        label.textContent = `${speaker.name}:`;
+    });
+});
+
+captions.on('speakers-clear', () => {
+    speakers.clear();
+    speakerList.innerHTML = '';
+});
+
+function hasTranscript() {
+    return transcriptHistory.querySelector('.transcript-entry') !== null;
+}
+
+// Export transcript through a save dialog in the main process
+async function saveTranscript(format) {
+    if (!hasTranscript()) {
+        updateStatus('Transcript is empty', 'error');
+        return;
+    }
+    
+    try {
+        const filePath = await captions.exportTranscript(format);
+        if (filePath) {
+            updateStatus(`Saved ${format.toUpperCase()} transcript`, isListening ? 'listening' : 'ready');
+        }
+    } catch (error) {
+        updateStatus(`Export failed: ${remoteErrorMessage(error)}`, 'error');
+    }
+}
+
+document.querySelectorAll('.export-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        saveTranscript(btn.dataset.format);
+    });
+});
+
+clearTranscriptBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    captions.clearTranscript();
+});
+
+// Overlay placement
+const overlayDisplay = document.getElementById('overlayDisplay');
+const overlayAnchor = document.getElementById('overlayAnchor');
+const unlockOverlayBtn = document.getElementById('unlockOverlayBtn');
+
+function renderOverlayPlacement(state) {
+    overlayDisplay.innerHTML = '';
+    state.displays.forEach(display => {
+        const option = document.createElement('option');
+        option.value = display.id;
+        option.textContent = display.label;
+        overlayDisplay.appendChild(option);
+    });
+    
+    overlayDisplay.value = state.displayId;
+    overlayAnchor.value = state.anchor;
+    unlockOverlayBtn.textContent = state.unlocked ? 'Lock Position' : 'Unlock to Move';
+    unlockOverlayBtn.dataset.unlocked = state.unlocked;
+    overlayDisplay.disabled = state.unlocked;
+    overlayAnchor.disabled = state.unlocked;
+}
+
+captions.getOverlayPlacement().then(renderOverlayPlacement);
+captions.on('displays-changed', renderOverlayPlacement);
+
+overlayDisplay.addEventListener('change', () => {
+    captions.setOverlayPlacement({ displayId: Number(overlayDisplay.value) });
+});
+
+overlayAnchor.addEventListener('change', () => {
+    captions.setOverlayPlacement({ anchor: overlayAnchor.value });
+});
+
+unlockOverlayBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    captions.setOverlayUnlocked(unlockOverlayBtn.dataset.unlocked !== 'true');
+});
 
 // Debounced device change handler
 deviceChangeHandler = async () => {
@@ -309,6 +1079,12 @@ deviceChangeHandler = async () => {
         if (!isListening) {
             stopAudioMeter();
             await loadMicrophones();
+        } else if (micSelect.value) {
+            // Selected microphone was unplugged mid-session
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            if (!devices.some(device => device.deviceId === micSelect.value)) {
+                captions.microphoneUnplugged();
+            }
         }
     }, 500);
 };
@@ -318,88 +1094,432 @@ navigator.mediaDevices.addEventListener('devicechange', deviceChangeHandler);
 
 // Handle microphone selection change
 micSelect.addEventListener('change', async () => {
+    const selectedMic = micSelect.options[micSelect.selectedIndex];
+    saveProfile({ device: selectedMic && micSelect.value ? selectedMic.dataset.label : '' });
     if (!isListening) {
         stopAudioMeter();
         await initAudioMeter(micSelect.value);
     }
 });
 
-startBtn.addEventListener('click', async () => {
+// Status and progress of the session running in the main process
+function applySessionStatus({ message, type, listening, paused }) {
+    if (listening !== isListening) {
+        updateUI(listening);
+        // The meter holds the microphone open, so between sessions it listens
+        // itself and during one it shows the levels the session reports
+        if (listening) {
+            stopAudioMeter();
+        } else {
+            initAudioMeter(micSelect.value);
+        }
+    }
+    isPaused = paused;
+    updateStatus(message, type);
+}
+
+captions.on('session-status', applySessionStatus);
+
+captions.on('device-fallback', () => {
+    micSelect.value = '';
+});
+
+startBtn.addEventListener('click', () => {
+    // Stop audio meter when starting recording
+    stopAudioMeter();
+    captions.startCaptions().catch(error => updateStatus(`Failed to start: ${remoteErrorMessage(error)}`, 'error'));
+});
+
+stopBtn.addEventListener('click', () => {
+    captions.stopCaptions();
+});
+
+openFileBtn.addEventListener('click', async (e) => {
+    e.preventDefault();
+    if (isListening) return;
+    
+    if (hasTranscript() && !window.confirm('Replace the current transcript with this file\'s captions?')) {
+        return;
+    }
+    
     try {
-        updateStatus('Initializing...', 'listening');
-        
-        // Stop audio meter when starting recording
+        if (await captions.transcribeFile()) {
+            transcriptSection.open = true;
+        }
+    } catch (error) {
+        updateStatus(`Failed to transcribe: ${remoteErrorMessage(error)}`, 'error');
+    }
+});
+
+// Profiles, stored by the main process
+const profileName = document.getElementById('profileName');
+const newProfileBtn = document.getElementById('newProfileBtn');
+const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+const importProfileBtn = document.getElementById('importProfileBtn');
+const exportProfileBtn = document.getElementById('exportProfileBtn');
+
+function renderProfiles({ profile, profiles }) {
+    currentProfile = profile;
+    profileSelect.innerHTML = '';
+    profiles.forEach(({ id, name }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = name;
+        profileSelect.appendChild(option);
+    });
+    profileSelect.value = profile.id;
+    profileName.value = profile.name;
+    deleteProfileBtn.disabled = profiles.length <= 1;
+}
+
+// Put every control in step with a newly selected profile
+function applyProfile(state) {
+    renderProfiles(state);
+    const profile = state.profile;
+    
+    languageSelect.value = profile.language;
+    if (!languageSelect.value) {
+        languageSelect.value = DEFAULT_LANGUAGE;
+    }
+    alternativeLanguageSelects.forEach((select, i) => {
+        select.value = profile.alternativeLanguages[i] || '';
+    });
+    backendSelect.value = profile.backend;
+    if (!backendSelect.value) {
+        backendSelect.value = engines.defaultBackend;
+    }
+    diarizationToggle.checked = profile.diarization;
+    updateDiarizationToggle();
+    updateAlternativeLanguages();
+    audioSourceSelect.value = profile.audioSource;
+    
+    loadRecognitionSettings(profile.recognition);
+    loadVoiceActivitySettings(profile.voiceActivity);
+    updateRecognitionControls();
+    loadAudioProcessingSettings(profile.audioProcessing);
+    updateAudioProcessingControls();
+    
+    vocabularyPhrases.value = profile.vocabulary.phrases;
+    vocabularyReplacements.value = profile.vocabulary.replacements;
+    
+    translationProvider.value = profile.translation.provider;
+    translationTarget.value = profile.translation.target;
+    translationMode.value = profile.translation.mode;
+    libreTranslateUrl.value = profile.translation.libreTranslateUrl;
+    
+    loadCaptionSettings(profile.style);
+    
+    const previousMic = micSelect.value;
+    selectSavedMicrophone();
+    if (!isListening && micSelect.value !== previousMic) {
         stopAudioMeter();
-        
-        const language = languageSelect.value;
-        const deviceId = micSelect.value || undefined;
-        speechRecognition = new SpeechRecognition(language, deviceId);
-        
-        speechRecognition.on('start', () => {
-            updateStatus('Listening for speech...', 'listening');
-            updateUI(true);
-            ipcRenderer.send('show-overlay');
-            ipcRenderer.send('update-caption-styles', getCaptionSettings());
-        });
-        
-        speechRecognition.on('interim', (text) => {
-            if (text && text.trim()) {
-                ipcRenderer.send('update-caption', { text, isFinal: false });
-            }
-        });
-        
-        speechRecognition.on('final', (text) => {
-            if (text && text.trim()) {
-                ipcRenderer.send('update-caption', { text, isFinal: true });
+        initAudioMeter(micSelect.value);
+    }
+}
+
+// Requests reject with the main process's error wrapped in Electron's own message
+function remoteErrorMessage(error) {
+    return error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+}
+
+// Changes go into whichever profile is selected
+function saveProfile(patch) {
+    captions.updateProfile(patch)
+        .then(renderProfiles)
+        .catch(error => updateStatus(remoteErrorMessage(error), 'error'));
+}
+
+function profileAction(request) {
+    request
+        .then(state => {
+            if (state) applyProfile(state);
+        })
+        .catch(error => updateStatus(remoteErrorMessage(error), 'error'));
+}
+
+// Earlier versions kept settings in this window's localStorage. Once they are
+// handed over they can go; if that fails they are offered again next launch.
+function importLocalStorage() {
+    if (localStorage.length === 0) {
+        return Promise.resolve();
+    }
+    return captions.importLocalStorage({ ...localStorage })
+        .then(() => localStorage.clear())
+        .catch(() => {});
+}
+
+// Engines first, so a profile's choices are there to select; then whatever the
+// session already holds, e.g. when the window is reopened from the tray
+captions.getEngines()
+    .then(available => {
+        engines = available;
+        loadBackends();
+        loadTranslationProviders();
+        return importLocalStorage();
+    })
+    .then(() => captions.getSettings())
+    .then(applyProfile)
+    .then(() => captions.getSession())
+    .then(({ status, speakers: heard, entries }) => {
+        heard.forEach(addSpeaker);
+        entries.forEach(appendTranscriptEntry);
+        applySessionStatus(status);
+    });
+
+profileSelect.addEventListener('change', () => {
+    profileAction(captions.selectProfile(profileSelect.value));
+});
+
+profileName.addEventListener('change', () => {
+    if (!profileName.value.trim()) {
+        profileName.value = currentProfile.name;
+        return;
+    }
+    saveProfile({ name: profileName.value.trim() });
+});
+
+newProfileBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    profileAction(captions.createProfile(`${currentProfile.name} Copy`));
+});
+
+deleteProfileBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    if (window.confirm(`Delete the "${currentProfile.name}" profile?`)) {
+        profileAction(captions.deleteProfile());
+    }
+});
+
+importProfileBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    profileAction(captions.importProfile());
+});
+
+exportProfileBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    captions.exportProfile()
+        .then(filePath => {
+            if (filePath) {
+                updateStatus(`Exported ${currentProfile.name}`, isListening ? 'listening' : 'ready');
             }
-        });
-        
-        speechRecognition.on('error', (error) => {
-            updateStatus(`Error: ${error.message}`, 'error');
-            updateUI(false);
-            ipcRenderer.send('hide-overlay');
-        });
-        
-        speechRecognition.on('stop', () => {
-            updateStatus('Stopped', 'ready');
-            updateUI(false);
-            ipcRenderer.send('hide-overlay');
-            // Restart audio meter after stopping
-            initAudioMeter(micSelect.value);
-        });
-        
-        await speechRecognition.start();
-        
-    } catch (error) {
-        updateStatus(`Failed to start: ${error.message}`, 'error');
-        updateUI(false);
+        })
+        .catch(error => updateStatus(remoteErrorMessage(error), 'error'));
+});
+
+// Caption server for OBS browser sources and other devices
+const captionServerToggle = document.getElementById('captionServerToggle');
+const captionServerPort = document.getElementById('captionServerPort');
+const captionServerNetwork = document.getElementById('captionServerNetwork');
+const captionServerToken = document.getElementById('captionServerToken');
+const generateTokenBtn = document.getElementById('generateTokenBtn');
+const captionServerUrls = document.getElementById('captionServerUrls');
+
+function renderCaptionServer({ settings, running, urls, error }) {
+    captionServerToggle.checked = settings.enabled;
+    captionServerPort.value = settings.port;
+    captionServerNetwork.checked = settings.host !== '127.0.0.1';
+    captionServerToken.value = settings.token;
+    
+    if (error) {
+        captionServerUrls.textContent = `Server not running: ${error}`;
+    } else if (running) {
+        const lines = [
+            `Browser source: ${urls.page}`,
+            `Events: ${urls.events}`,
+            `WebSocket: ${urls.websocket}`,
+            `Recent captions: ${urls.snapshot}`
+        ];
+        if (captionServerNetwork.checked && !settings.token) {
+            lines.push('Anyone on your network can read captions - consider setting a token.');
+        }
+        captionServerUrls.replaceChildren(...lines.map(line => {
+            const row = document.createElement('div');
+            row.textContent = line;
+            return row;
+        }));
+    } else {
+        captionServerUrls.textContent = 'Off';
     }
+}
+
+function saveCaptionServer() {
+    captions.setCaptionServer({
+        enabled: captionServerToggle.checked,
+        port: captionServerPort.value,
+        allowNetwork: captionServerNetwork.checked,
+        token: captionServerToken.value
+    }).then(renderCaptionServer);
+}
+
+captions.getCaptionServer().then(renderCaptionServer);
+
+[captionServerToggle, captionServerPort, captionServerNetwork, captionServerToken].forEach(control => {
+    control.addEventListener('change', saveCaptionServer);
 });
 
-stopBtn.addEventListener('click', () => {
-    if (speechRecognition) {
-        speechRecognition.stop();
-        speechRecognition = null;
+generateTokenBtn.addEventListener('click', async (e) => {
+    e.preventDefault();
+    captionServerToken.value = await captions.generateCaptionServerToken();
+    saveCaptionServer();
+});
+
+// Google Cloud credentials, project and endpoint, kept by the main process
+const cloudAuthInputs = [...document.querySelectorAll('input[name="cloudAuth"]')];
+const serviceAccountInfo = document.getElementById('serviceAccountInfo');
+const chooseKeyBtn = document.getElementById('chooseKeyBtn');
+const forgetKeyBtn = document.getElementById('forgetKeyBtn');
+const cloudProjectId = document.getElementById('cloudProjectId');
+const cloudRegion = document.getElementById('cloudRegion');
+const cloudEndpoint = document.getElementById('cloudEndpoint');
+const checkConnectionBtn = document.getElementById('checkConnectionBtn');
+const connectionResult = document.getElementById('connectionResult');
+
+function renderCloudSetup({ settings, keyStored, keychain }) {
+    cloudAuthInputs.forEach(input => {
+        input.checked = input.value === settings.auth;
+    });
+    cloudProjectId.value = settings.projectId;
+    cloudRegion.value = settings.region;
+    cloudEndpoint.value = settings.endpoint;
+    
+    if (keyStored) {
+        serviceAccountInfo.textContent = `Key for ${settings.clientEmail}, stored in the system keychain.`;
+    } else if (settings.keyFile) {
+        serviceAccountInfo.textContent = `Key for ${settings.clientEmail}, read from ${settings.keyFile}. There is no system keychain to store it in.`;
+    } else {
+        serviceAccountInfo.textContent = keychain
+            ? 'No key chosen. A chosen key is stored in the system keychain.'
+            : 'No key chosen. There is no system keychain, so the key file is read from where it is.';
     }
+    forgetKeyBtn.disabled = !keyStored && !settings.keyFile;
+}
+
+function cloudAction(request) {
+    request
+        .then(renderCloudSetup)
+        .catch(error => updateStatus(remoteErrorMessage(error), 'error'));
+}
+
+function saveCloudSetup() {
+    const auth = cloudAuthInputs.find(input => input.checked);
+    cloudAction(captions.setCloudSetup({
+        auth: auth ? auth.value : 'adc',
+        projectId: cloudProjectId.value.trim(),
+        region: cloudRegion.value,
+        endpoint: cloudEndpoint.value.trim()
+    }));
+}
+
+captions.getCloudSetup().then(renderCloudSetup);
+
+[...cloudAuthInputs, cloudProjectId, cloudRegion, cloudEndpoint].forEach(control => {
+    control.addEventListener('change', saveCloudSetup);
 });
 
-// Test button to verify overlay display
-testBtn.addEventListener('click', () => {
-    ipcRenderer.send('show-overlay');
-    ipcRenderer.send('update-caption-styles', getCaptionSettings());
+chooseKeyBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    cloudAction(captions.chooseServiceAccount());
+});
+
+forgetKeyBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    if (window.confirm('Forget the service-account key? The key file itself is not deleted.')) {
+        cloudAction(captions.forgetServiceAccount());
+    }
+});
+
+// Checks the selected engine with the setup above, without starting captions
+checkConnectionBtn.addEventListener('click', async (e) => {
+    e.preventDefault();
+    checkConnectionBtn.disabled = true;
+    connectionResult.classList.remove('fail');
+    connectionResult.textContent = 'Checking...';
+    try {
+        connectionResult.textContent = await captions.checkConnection();
+    } catch (error) {
+        connectionResult.textContent = remoteErrorMessage(error);
+        connectionResult.classList.add('fail');
+    } finally {
+        checkConnectionBtn.disabled = false;
+    }
+});
+
+// Shortcut editor
+const hotkeyList = document.getElementById('hotkeyList');
+
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta'];
+
+// Turn a keydown into an Electron accelerator string, or null if incomplete
+function acceleratorFor(event) {
+    if (MODIFIER_KEYS.includes(event.key)) return null;
     
-    // Send test captions
-    setTimeout(() => {
-        ipcRenderer.send('update-caption', { text: 'Testing captions: Hello World!', isFinal: false });
-    }, 500);
+    const parts = [];
+    if (event.ctrlKey) parts.push(captions.platform === 'darwin' ? 'Control' : 'CommandOrControl');
+    if (event.metaKey) parts.push(captions.platform === 'darwin' ? 'CommandOrControl' : 'Super');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey) parts.push('Shift');
     
-    setTimeout(() => {
-        ipcRenderer.send('update-caption', { text: 'This is a test caption display.', isFinal: true });
-    }, 2000);
+    let key = event.code;
+    if (/^Key[A-Z]$/.test(key)) key = key.slice(3);
+    else if (/^Digit\d$/.test(key)) key = key.slice(5);
+    else if (key.startsWith('Arrow')) key = key.slice(5);
+    else if (!/^F\d{1,2}$/.test(key) && !['Space', 'Home', 'End', 'PageUp', 'PageDown', 'Insert'].includes(key)) return null;
+    
+    // A bare letter would swallow normal typing everywhere
+    if (parts.length === 0 && !/^F\d{1,2}$/.test(key)) return null;
+    
+    return [...parts, key].join('+');
+}
+
+function renderHotkeys({ hotkeys, actions, failed }) {
+    const rows = Object.entries(actions).map(([action, label]) => {
+        const row = document.createElement('div');
+        row.className = 'control-group';
+        
+        const name = document.createElement('label');
+        name.textContent = label;
+        name.htmlFor = `hotkey-${action}`;
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.readOnly = true;
+        input.id = `hotkey-${action}`;
+        input.value = hotkeys[action] || '';
+        input.placeholder = 'Not set';
+        input.setAttribute('aria-describedby', 'hotkeyHint');
+        if (failed.includes(action)) {
+            input.title = 'This shortcut is invalid or taken by another application';
+            input.setAttribute('aria-invalid', 'true');
+            input.style.borderColor = '#e74c3c';
+        }
+        
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') return;
+            e.preventDefault();
+            
+            const accelerator = ['Backspace', 'Delete'].includes(e.key) && !e.ctrlKey && !e.altKey && !e.metaKey
+                ? ''
+                : acceleratorFor(e);
+            if (accelerator === null) return;
+            
+            captions.setHotkeys({ [action]: accelerator })
+                .then(renderHotkeys)
+                .catch(error => updateStatus(remoteErrorMessage(error), 'error'));
+        });
+        
+        row.appendChild(name);
+        row.appendChild(input);
+        return row;
+    });
     
-    setTimeout(() => {
-        ipcRenderer.send('hide-overlay');
-    }, 7000);
+    hotkeyList.replaceChildren(...rows);
+}
+
+captions.getHotkeys().then(renderHotkeys);
+
+// Test button to verify overlay display
+testBtn.addEventListener('click', () => {
+    captions.testOverlay();
 });
 
 // Cleanup function
@@ -414,13 +1534,6 @@ function cleanup() {
         clearTimeout(deviceChangeDebounceTimer);
     }
     
-    
-    // Stop speech recognition
-    if (speechRecognition) {
-        speechRecognition.stop();
-        speechRecognition = null;
-    }
-    
     // Stop audio meter
     stopAudioMeter();
 }
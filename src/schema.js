@@ -0,0 +1,114 @@
+// A tiny schema language: every field has a type and a default that replaces
+// anything invalid, so a hand-edited or outdated file can always be loaded.
+// Messages from the windows are checked with it too, see ipc-schema.js.
+const string = (fallback, pattern = null) => ({ type: 'string', default: fallback, pattern });
+const number = (fallback, min, max, nullable = false) => ({ type: 'number', default: fallback, min, max, nullable });
+const boolean = (fallback) => ({ type: 'boolean', default: fallback });
+const oneOf = (values, fallback) => ({ type: 'enum', values, default: fallback });
+const object = (properties) => ({ type: 'object', properties });
+const recordOf = (schema) => ({ type: 'record', schema, default: {} });
+const listOf = (schema, max = Infinity) => ({ type: 'list', schema, max, default: [] });
+const freeform = () => ({ type: 'freeform', default: {} });
+// Left out rather than defaulted when missing
+const optional = (schema) => ({ ...schema, optional: true });
+// The same object with every field optional, for updates carrying only what changed
+const partial = (schema) => object(Object.fromEntries(Object.entries(schema.properties).map(([key, child]) => [key, optional(child)])));
+
+function defaultsOf(schema) {
+    if (schema.type === 'object') {
+        return Object.fromEntries(Object.entries(schema.properties).map(([key, child]) => [key, defaultsOf(child)]));
+    }
+    if (Array.isArray(schema.default)) {
+        return [...schema.default];
+    }
+    return typeof schema.default === 'object' && schema.default !== null ? { ...schema.default } : schema.default;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Returns a cleaned copy of value; problems are pushed onto errors as "path: reason"
+function validate(schema, value, errors = [], at = '') {
+    const fail = (reason) => {
+        errors.push(`${at || 'settings'}: ${reason}`);
+        return defaultsOf(schema);
+    };
+
+    if (value === undefined) {
+        return schema.optional ? undefined : defaultsOf(schema);
+    }
+
+    switch (schema.type) {
+        case 'object': {
+            if (!isPlainObject(value)) return fail('expected an object');
+            const result = {};
+            Object.entries(schema.properties).forEach(([key, child]) => {
+                const cleaned = validate(child, value[key], errors, at ? `${at}.${key}` : key);
+                if (cleaned !== undefined) {
+                    result[key] = cleaned;
+                }
+            });
+            return result;
+        }
+        case 'record': {
+            if (!isPlainObject(value)) return fail('expected an object');
+            const result = {};
+            Object.entries(value).forEach(([key, child]) => {
+                result[key] = validate(schema.schema, child, errors, at ? `${at}.${key}` : key);
+            });
+            return result;
+        }
+        case 'list':
+            if (!Array.isArray(value)) return fail('expected a list');
+            if (value.length > schema.max) return fail(`no more than ${schema.max} allowed`);
+            return value.map((item, i) => validate(schema.schema, item, errors, `${at}[${i}]`));
+        case 'freeform':
+            return isPlainObject(value) ? value : fail('expected an object');
+        case 'string':
+            if (typeof value !== 'string') return fail('expected text');
+            if (schema.pattern && !schema.pattern.test(value)) return fail(`"${value}" is not valid`);
+            return value;
+        case 'number': {
+            if (value === null && schema.nullable) return null;
+            // Form controls hand numbers over as strings
+            const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof parsed !== 'number' || !Number.isFinite(parsed)) return fail('expected a number');
+            if (parsed < schema.min || parsed > schema.max) return fail(`must be between ${schema.min} and ${schema.max}`);
+            return parsed;
+        }
+        case 'boolean':
+            if (typeof value !== 'boolean') return fail('expected true or false');
+            return value;
+        case 'enum':
+            if (!schema.values.includes(value)) return fail(`must be one of ${schema.values.join(', ')}`);
+            return value;
+        default:
+            return value;
+    }
+}
+
+function mergeDeep(base, patch) {
+    const result = { ...base };
+    Object.entries(patch || {}).forEach(([key, value]) => {
+        result[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeDeep(base[key], value) : value;
+    });
+    return result;
+}
+
+module.exports = {
+    string,
+    number,
+    boolean,
+    oneOf,
+    object,
+    recordOf,
+    listOf,
+    freeform,
+    optional,
+    partial,
+    defaultsOf,
+    isPlainObject,
+    validate,
+    mergeDeep
+};
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+// Secrets encrypted with the OS keychain through Electron's safeStorage
+// (Keychain on macOS, DPAPI on Windows, libsecret or KWallet on Linux) and
+// kept in their own file, apart from settings.json. Where no keychain is
+// available nothing is stored.
+class SecretStore {
+    constructor(file, safeStorage) {
+        this.file = file;
+        this.safeStorage = safeStorage;
+        this.secrets = null;
+    }
+
+    // Linux falls back to a fixed password when there is no keyring; that isn't a keychain
+    available() {
+        if (!this.safeStorage.isEncryptionAvailable()) {
+            return false;
+        }
+        if (process.platform === 'linux') {
+            return !['basic_text', 'unknown'].includes(this.safeStorage.getSelectedStorageBackend());
+        }
+        return true;
+    }
+
+    load() {
+        if (this.secrets) return this.secrets;
+        try {
+            this.secrets = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            this.secrets = {};
+        }
+        return this.secrets;
+    }
+
+    save() {
+        const temp = `${this.file}.tmp`;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(temp, JSON.stringify(this.secrets, null, 2), { mode: 0o600 });
+        fs.renameSync(temp, this.file);
+    }
+
+    has(name) {
+        return Boolean(this.load()[name]);
+    }
+
+    // null if missing, or if the keychain can no longer decrypt it
+    get(name) {
+        const stored = this.load()[name];
+        if (!stored || !this.available()) return null;
+        try {
+            return this.safeStorage.decryptString(Buffer.from(stored, 'base64'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    set(name, value) {
+        if (!this.available()) {
+            throw new Error('No keychain is available to store secrets');
+        }
+        this.load()[name] = this.safeStorage.encryptString(value).toString('base64');
+        this.save();
+    }
+
+    delete(name) {
+        if (!this.has(name)) return;
+        delete this.load()[name];
+        this.save();
+    }
+}
+
+module.exports = SecretStore;
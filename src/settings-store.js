@@ -0,0 +1,481 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const {
+    string,
+    number,
+    boolean,
+    oneOf,
+    object,
+    recordOf,
+    listOf,
+    freeform,
+    defaultsOf,
+    isPlainObject,
+    validate,
+    mergeDeep
+} = require('./schema');
+const { CAPTION_MODES } = require('./caption-buffer');
+const { HIGHLIGHT_MODES } = require('./word-confidence');
+const { MAX_ALTERNATIVE_LANGUAGES } = require('./languages');
+const { ANCHORS } = require('./overlay-placement');
+const { DEFAULT_HOTKEYS } = require('./hotkeys');
+const { LOCALHOST, ALL_INTERFACES } = require('./caption-server');
+const { REGIONS, MODELS, ENDPOINT } = require('./google-cloud');
+const { SAMPLE_RATES } = require('./audio-capture');
+const { ENCODINGS } = require('./audio-encoder');
+const { NOISE_SUPPRESSION_LEVELS } = require('./audio-processing');
+
+const SETTINGS_VERSION = 1;
+
+const COLOR = /^#[0-9a-f]{6}$/i;
+
+// What a style preset holds; see APPEARANCE_KEYS in caption-style.js
+const APPEARANCE_PROPERTIES = {
+    bgColor: string('#ff6347', COLOR),
+    textColor: string('#ffffff', COLOR),
+    fontSize: number(28, 12, 96),
+    fontFamily: string('Arial, sans-serif'),
+    fontWeight: number(600, 100, 900),
+    opacity: number(85, 0, 100),
+    glassmorphic: boolean(true),
+    outlineWidth: number(0, 0, 8),
+    outlineColor: string('#000000', COLOR),
+    shadowColor: string('#000000', COLOR),
+    shadowOffset: number(0, 0, 12),
+    shadowBlur: number(0, 0, 24),
+    letterSpacing: number(0, -2, 10),
+    lineHeight: number(1.4, 1, 2.5),
+    maxWidth: number(80, 30, 100),   // Percent of the overlay width
+    textAlign: oneOf(['left', 'center', 'right'], 'center'),
+    paddingX: number(25, 0, 80),
+    paddingY: number(15, 0, 60),
+    cornerRadius: number(16, 0, 48)
+};
+
+const STYLE_SCHEMA = object({
+    ...APPEARANCE_PROPERTIES,
+    captionMode: oneOf(CAPTION_MODES, 'roll-up'),
+    lines: number(2, 1, 4),
+    lineLength: number(0, 0, 120),
+    speakerLabels: oneOf(['prefix', 'color', 'both', 'off'], 'prefix'),
+    highContrast: boolean(false),
+    dyslexiaFriendly: boolean(false),
+    contrastCheck: oneOf(['warn', 'fix'], 'warn'),   // What to do when text is hard to read
+    // How words the recognizer is unsure of are marked
+    confidenceHighlight: oneOf(HIGHLIGHT_MODES, 'off'),
+    confidenceThreshold: number(0.6, 0, 1)
+});
+
+// Everything that changes between, say, a meeting and a stream
+const PROFILE_SCHEMA = object({
+    name: string('Default'),
+    language: string('en-US'),
+    alternativeLanguages: listOf(string(''), MAX_ALTERNATIVE_LANGUAGES),   // Also listened for
+    backend: string('google'),
+    diarization: boolean(false),
+    audioSource: oneOf(['mic', 'system', 'mix'], 'mic'),
+    device: string(''),   // Microphone label, empty for the system default
+    vocabulary: object({
+        phrases: string(''),
+        replacements: string('')
+    }),
+    translation: object({
+        provider: string(''),
+        target: string('en'),
+        mode: oneOf(['dual', 'translation'], 'dual'),
+        libreTranslateUrl: string('')
+    }),
+    // What the engine is asked for; engines skip what they can't do
+    recognition: object({
+        model: oneOf(MODELS, 'default'),
+        enhanced: boolean(false),
+        automaticPunctuation: boolean(true),
+        profanityFilter: boolean(false),
+        spokenPunctuation: boolean(false),
+        spokenEmojis: boolean(false),
+        interimResults: boolean(true),
+        // Less bandwidth for poor connections
+        encoding: oneOf(ENCODINGS, 'linear16'),
+        sampleRate: oneOf(SAMPLE_RATES, 16000)
+    }),
+    // Cleanup applied to captured audio before it is recognized
+    audioProcessing: object({
+        gain: number(0, -20, 30),      // dB
+        highPass: number(0, 0, 300),   // Cutoff in Hz, 0 = off
+        noiseSuppression: oneOf(NOISE_SUPPRESSION_LEVELS, 'off'),
+        autoGain: boolean(false)
+    }),
+    // Nothing is streamed while the input stays below threshold (dBFS) for hangoverMs
+    voiceActivity: object({
+        enabled: boolean(true),
+        threshold: number(-50, -80, -10),
+        hangoverMs: number(1000, 200, 5000)
+    }),
+    style: STYLE_SCHEMA
+});
+
+const STYLE_PRESET_SCHEMA = object({
+    name: string('Preset'),
+    style: object(APPEARANCE_PROPERTIES)
+});
+
+const SETTINGS_SCHEMA = object({
+    version: number(SETTINGS_VERSION, 0, Infinity),
+    activeProfile: string('default'),
+    profiles: recordOf(PROFILE_SCHEMA),
+    stylePresets: recordOf(STYLE_PRESET_SCHEMA),
+    overlay: object({
+        displayId: number(null, -Infinity, Infinity, true),
+        anchor: oneOf(ANCHORS, 'bottom'),
+        height: number(200, 80, 4000),
+        custom: freeform()
+    }),
+    hotkeys: object(Object.fromEntries(Object.keys(DEFAULT_HOTKEYS).map(action => [action, string(DEFAULT_HOTKEYS[action])]))),
+    captionServer: object({
+        enabled: boolean(false),
+        port: number(7878, 1, 65535),
+        host: oneOf([LOCALHOST, ALL_INTERFACES], LOCALHOST),
+        token: string('')
+    }),
+    // Google Cloud connection; a stored service-account key lives in the keychain, see secret-store.js
+    cloud: object({
+        auth: oneOf(['adc', 'serviceAccount'], 'adc'),
+        keyFile: string(''),       // Key file to read when there's no keychain to store it in
+        clientEmail: string(''),   // Account of the chosen key, for display
+        projectId: string(''),     // Empty to use the key's or the environment's project
+        region: oneOf(REGIONS, 'global'),
+        endpoint: string('', ENDPOINT)   // host[:port], e.g. a local stand-in for testing
+    }),
+    // Set until the main window's old localStorage settings have been imported
+    pendingLocalStorage: boolean(false)
+});
+
+function createProfile(name, overrides = {}) {
+    return validate(PROFILE_SCHEMA, mergeDeep(defaultsOf(PROFILE_SCHEMA), { ...overrides, name }));
+}
+
+// Starting points for common situations; users can change or delete them
+function defaultProfiles() {
+    return {
+        default: createProfile('Default'),
+        meeting: createProfile('Meeting', {
+            diarization: true,
+            style: { speakerLabels: 'both', lines: 3 }
+        }),
+        stream: createProfile('Stream', {
+            style: {
+                bgColor: '#000000',
+                fontSize: 36,
+                fontFamily: "'Segoe UI', Tahoma, sans-serif",
+                opacity: 75,
+                glassmorphic: false,
+                lines: 2
+            }
+        }),
+        lecture: createProfile('Lecture', {
+            style: { fontSize: 32, lines: 3, lineLength: 42 }
+        })
+    };
+}
+
+// Each entry upgrades the settings from version i to i + 1
+const MIGRATIONS = [
+    // 0 -> 1: no settings file yet; the only older settings are in the main
+    // window's localStorage, which it hands over once it is open
+    (settings) => ({
+        ...settings,
+        version: 1,
+        activeProfile: 'default',
+        profiles: defaultProfiles(),
+        pendingLocalStorage: true
+    })
+];
+
+// Old main window localStorage keys and where they live in a profile
+const LOCAL_STORAGE_KEYS = {
+    speechBackend: ['backend'],
+    speakerDiarization: ['diarization', value => value === 'true'],
+    audioSource: ['audioSource'],
+    vocabularyPhrases: ['vocabulary', 'phrases'],
+    vocabularyReplacements: ['vocabulary', 'replacements'],
+    translationProvider: ['translation', 'provider'],
+    translationTarget: ['translation', 'target'],
+    translationMode: ['translation', 'mode'],
+    libreTranslateUrl: ['translation', 'libreTranslateUrl'],
+    captionBgColor: ['style', 'bgColor'],
+    captionTextColor: ['style', 'textColor'],
+    captionFontSize: ['style', 'fontSize'],
+    captionFontFamily: ['style', 'fontFamily'],
+    captionOpacity: ['style', 'opacity'],
+    captionGlassmorphic: ['style', 'glassmorphic', value => value !== 'false'],
+    captionMode: ['style', 'captionMode'],
+    captionLines: ['style', 'lines'],
+    captionLineLength: ['style', 'lineLength'],
+    speakerLabels: ['style', 'speakerLabels']
+};
+
+function profileIdFor(name, taken) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+    let id = base;
+    for (let i = 2; taken.includes(id); i++) {
+        id = `${base}-${i}`;
+    }
+    return id;
+}
+
+function uniqueName(name, profiles) {
+    const names = Object.values(profiles).map(profile => profile.name);
+    let candidate = name;
+    for (let i = 2; names.includes(candidate); i++) {
+        candidate = `${name} (${i})`;
+    }
+    return candidate;
+}
+
+// Settings shared by the main process, main window and overlay, kept in one
+// JSON file. Emits 'change' with the settings after every update.
+class SettingsStore extends EventEmitter {
+    constructor(file) {
+        super();
+        this.file = file;
+        this.settings = null;
+    }
+
+    load() {
+        let saved = {};
+        try {
+            saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                // Keep the unreadable file around rather than silently losing it
+                try {
+                    fs.renameSync(this.file, `${this.file}.broken`);
+                } catch (renameError) {
+                    // Nothing more we can do; start from defaults
+                }
+            }
+            saved = {};
+        }
+
+        let settings = isPlainObject(saved) ? saved : {};
+        const from = Number.isInteger(settings.version) ? settings.version : 0;
+        for (let version = from; version < SETTINGS_VERSION; version++) {
+            settings = MIGRATIONS[version](settings);
+        }
+
+        this.settings = validate(SETTINGS_SCHEMA, settings);
+        this.ensureProfiles();
+        if (from !== SETTINGS_VERSION) {
+            this.save();
+        }
+        return this.settings;
+    }
+
+    save() {
+        // Write then rename, so a crash never leaves half a file
+        const temp = `${this.file}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(temp, JSON.stringify(this.settings, null, 2));
+            fs.renameSync(temp, this.file);
+        } catch (error) {
+            // Settings still apply for this session
+        }
+    }
+
+    commit() {
+        this.save();
+        this.emit('change', this.settings);
+    }
+
+    ensureProfiles() {
+        if (Object.keys(this.settings.profiles).length === 0) {
+            this.settings.profiles = { default: createProfile('Default') };
+        }
+        if (!this.settings.profiles[this.settings.activeProfile]) {
+            this.settings.activeProfile = Object.keys(this.settings.profiles)[0];
+        }
+    }
+
+    get(section) {
+        return this.settings[section];
+    }
+
+    // Replace a top-level section (overlay, hotkeys, captionServer) after validating it
+    set(section, value) {
+        const errors = [];
+        const cleaned = validate(SETTINGS_SCHEMA.properties[section], mergeDeep(this.settings[section], value), errors, section);
+        if (errors.length > 0) {
+            throw new Error(`Invalid settings - ${errors.join('; ')}`);
+        }
+        this.settings[section] = cleaned;
+        this.commit();
+        return cleaned;
+    }
+
+    activeProfile() {
+        return { id: this.settings.activeProfile, ...this.settings.profiles[this.settings.activeProfile] };
+    }
+
+    listProfiles() {
+        return Object.entries(this.settings.profiles).map(([id, profile]) => ({ id, name: profile.name }));
+    }
+
+    updateProfile(id, patch) {
+        const profile = this.settings.profiles[id];
+        if (!profile) {
+            throw new Error(`No such profile: ${id}`);
+        }
+
+        const errors = [];
+        const updated = validate(PROFILE_SCHEMA, mergeDeep(profile, patch), errors);
+        if (errors.length > 0) {
+            throw new Error(`Invalid settings - ${errors.join('; ')}`);
+        }
+        if (!updated.name.trim()) {
+            throw new Error('Profile name cannot be empty');
+        }
+
+        this.settings.profiles[id] = updated;
+        this.commit();
+        return { id, ...updated };
+    }
+
+    selectProfile(id) {
+        if (!this.settings.profiles[id]) {
+            throw new Error(`No such profile: ${id}`);
+        }
+        this.settings.activeProfile = id;
+        this.commit();
+        return this.activeProfile();
+    }
+
+    // New profiles start as a copy of the active one
+    createProfile(name) {
+        const { id: activeId, ...active } = this.activeProfile();
+        const profileName = uniqueName(name && name.trim() ? name.trim() : 'New Profile', this.settings.profiles);
+        const id = profileIdFor(profileName, Object.keys(this.settings.profiles));
+
+        this.settings.profiles[id] = { ...JSON.parse(JSON.stringify(active)), name: profileName };
+        this.settings.activeProfile = id;
+        this.commit();
+        return this.activeProfile();
+    }
+
+    deleteProfile(id) {
+        if (Object.keys(this.settings.profiles).length <= 1) {
+            throw new Error("The last profile can't be deleted");
+        }
+        delete this.settings.profiles[id];
+        this.ensureProfiles();
+        this.commit();
+        return this.activeProfile();
+    }
+
+    exportProfile(id) {
+        const profile = this.settings.profiles[id];
+        if (!profile) {
+            throw new Error(`No such profile: ${id}`);
+        }
+        return JSON.stringify({ type: 'unmarketable-tomato-profile', version: SETTINGS_VERSION, profile }, null, 2);
+    }
+
+    importProfile(content) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error('Not a profile file: the JSON could not be read');
+        }
+        if (!isPlainObject(data) || data.type !== 'unmarketable-tomato-profile' || !isPlainObject(data.profile)) {
+            throw new Error('Not an Unmarketable Tomato profile file');
+        }
+
+        // Imported files may come from older or newer versions; keep what validates
+        const profile = validate(PROFILE_SCHEMA, data.profile);
+        profile.name = uniqueName(profile.name.trim() || 'Imported Profile', this.settings.profiles);
+        const id = profileIdFor(profile.name, Object.keys(this.settings.profiles));
+
+        this.settings.profiles[id] = profile;
+        this.settings.activeProfile = id;
+        this.commit();
+        return this.activeProfile();
+    }
+
+    listStylePresets() {
+        return Object.entries(this.settings.stylePresets).map(([id, preset]) => ({ id, ...preset }));
+    }
+
+    // Saving under an existing name replaces that preset
+    saveStylePreset(name, style) {
+        const presetName = typeof name === 'string' ? name.trim() : '';
+        if (!presetName) {
+            throw new Error('Preset name cannot be empty');
+        }
+
+        const errors = [];
+        const preset = validate(STYLE_PRESET_SCHEMA, { name: presetName, style }, errors);
+        if (errors.length > 0) {
+            throw new Error(`Invalid settings - ${errors.join('; ')}`);
+        }
+
+        const existing = Object.keys(this.settings.stylePresets).find(id => this.settings.stylePresets[id].name === presetName);
+        const id = existing || profileIdFor(presetName, Object.keys(this.settings.stylePresets));
+        this.settings.stylePresets[id] = preset;
+        this.commit();
+        return id;
+    }
+
+    renameStylePreset(id, name) {
+        const preset = this.settings.stylePresets[id];
+        if (!preset) {
+            throw new Error(`No such preset: ${id}`);
+        }
+        const presetName = typeof name === 'string' ? name.trim() : '';
+        if (!presetName) {
+            throw new Error('Preset name cannot be empty');
+        }
+        if (Object.keys(this.settings.stylePresets).some(other => other !== id && this.settings.stylePresets[other].name === presetName)) {
+            throw new Error(`There is already a preset called "${presetName}"`);
+        }
+
+        preset.name = presetName;
+        this.commit();
+    }
+
+    deleteStylePreset(id) {
+        delete this.settings.stylePresets[id];
+        this.commit();
+    }
+
+    // One-off import of the values the main window kept in localStorage
+    importLocalStorage(storage) {
+        const patch = {};
+        Object.entries(LOCAL_STORAGE_KEYS).forEach(([key, [first, second, convert]]) => {
+            if (storage[key] === undefined || storage[key] === null) return;
+
+            const transform = typeof second === 'function' ? second : convert;
+            const value = transform ? transform(storage[key]) : storage[key];
+            if (typeof second === 'string') {
+                patch[first] = { ...patch[first], [second]: value };
+            } else {
+                patch[first] = value;
+            }
+        });
+
+        // Whatever doesn't validate keeps its default
+        const profile = this.settings.profiles.default || this.settings.profiles[this.settings.activeProfile];
+        Object.assign(profile, validate(PROFILE_SCHEMA, mergeDeep(profile, patch)));
+        this.settings.pendingLocalStorage = false;
+        this.commit();
+    }
+}
+
+module.exports = {
+    SettingsStore,
+    SETTINGS_VERSION,
+    STYLE_SCHEMA,
+    validate,
+    LOCAL_STORAGE_KEYS
+};
@@ -0,0 +1,76 @@
+const { EventEmitter } = require('events');
+
+// Distinct colours that stay readable on dark and tinted caption backgrounds
+const SPEAKER_COLORS = ['#ffd166', '#06d6a0', '#4cc9f0', '#f78c6b', '#c77dff', '#90be6d'];
+
+// Separate mic/system channels are speakers of their own
+const CHANNEL_SPEAKERS = {
+    1: { tag: 'local', name: 'Local' },
+    2: { tag: 'remote', name: 'Remote' }
+};
+
+// Names and colours for diarization speaker tags, renameable during a session
+class SpeakerRegistry extends EventEmitter {
+    constructor() {
+        super();
+        this.speakers = new Map();
+    }
+
+    get(tag, defaultName = null) {
+        if (tag === null || tag === undefined) return null;
+
+        if (!this.speakers.has(tag)) {
+            const speaker = {
+                tag,
+                defaultName: defaultName || `Speaker ${tag}`,
+                name: defaultName || `Speaker ${tag}`,
+                color: SPEAKER_COLORS[this.speakers.size % SPEAKER_COLORS.length]
+            };
+            this.speakers.set(tag, speaker);
+            this.emit('added', speaker);
+        }
+        return this.speakers.get(tag);
+    }
+
+    // Resolve a result's channel and diarization tag to a registered speaker
+    forResult(details = {}) {
+        const speakerTag = details.speaker !== undefined && details.speaker !== null ? details.speaker : null;
+        const channel = CHANNEL_SPEAKERS[details.channel];
+
+        if (!channel) {
+            return this.get(speakerTag);
+        }
+        if (speakerTag === null) {
+            return this.get(channel.tag, channel.name);
+        }
+        return this.get(`${channel.tag}-${speakerTag}`, `${channel.name} ${speakerTag}`);
+    }
+
+    rename(tag, name) {
+        const speaker = this.get(tag);
+        if (!speaker) return;
+
+        speaker.name = name && name.trim() ? name.trim() : speaker.defaultName;
+        this.emit('renamed', speaker);
+    }
+
+    nameOf(tag) {
+        const speaker = this.get(tag);
+        return speaker ? speaker.name : null;
+    }
+
+    list() {
+        return Array.from(this.speakers.values());
+    }
+
+    clear() {
+        this.speakers.clear();
+        this.emit('clear');
+    }
+}
+
+module.exports = {
+    SpeakerRegistry,
+    SPEAKER_COLORS,
+    CHANNEL_SPEAKERS
+};
@@ -1,52 +1,146 @@
-const { spawn, execSync } = require('child_process');
-const speech = require('@google-cloud/speech');
 const { EventEmitter } = require('events');
+const { createBackend, getBackend } = require('./backends');
+const { AudioCapture, SAMPLE_RATE, isSoxAvailable, isFfmpegAvailable, decoderFor, detectDriver } = require('./audio-capture');
+const { EncodingStream, encoderFor } = require('./audio-encoder');
+const { VoiceActivityDetector } = require('./voice-activity');
+const { AudioProcessor, LevelMeter } = require('./audio-processing');
+const { listAudioDevices, findLoopbackDevice, matchDevice } = require('./audio-devices');
+const { compileReplacements, applyReplacements } = require('./vocabulary');
+const AudioRingBuffer = require('./audio-ring-buffer');
+const { languageList } = require('./languages');
+
+// Reconnect backoff for transient network/service errors
+const RECONNECT_BASE_DELAY = 500;
+const RECONNECT_MAX_DELAY = 30000;
+const MAX_RECONNECT_ATTEMPTS = 10;
+// A new stream that survives this long counts as reconnected even if nobody spoke
+const RECONNECT_HEALTHY_AFTER = 3000;
+// How often file sources report how far they've got, in ms of audio
+const PROGRESS_INTERVAL = 1000;
+// Audio from just before speech was detected goes along, so the first syllable isn't lost
+const PRE_ROLL_MS = 300;
+
+// options.recognition, as in a profile's recognition settings
+const RECOGNITION_DEFAULTS = {
+    model: 'default',
+    enhanced: false,
+    automaticPunctuation: true,
+    profanityFilter: false,
+    spokenPunctuation: false,
+    spokenEmojis: false,
+    interimResults: true,
+    encoding: 'linear16',
+    sampleRate: SAMPLE_RATE
+};
 
 class SpeechRecognition extends EventEmitter {
-    constructor(languageCode = 'en-US', deviceId = null) {
+    constructor(languageCode = 'en-US', deviceId = null, options = {}) {
         super();
         
         this.languageCode = languageCode;
+        // Other languages the speakers may switch to, where the backend can listen for them
+        this.alternativeLanguages = getBackend(options.backend).supportsLanguageDetection
+            ? languageList(languageCode, options.alternativeLanguages || []).slice(1)
+            : [];
         this.deviceId = deviceId;
-        this.deviceIndex = null;
-        this.client = null;
+        this.deviceLabel = options.deviceLabel || null;
+        this.device = null;
+        this.backendId = options.backend;
+        this.diarization = Boolean(options.diarization) && getBackend(options.backend).supportsDiarization;
+        // 'mic', 'system' (loopback) or 'mix' (both, as separate channels where supported)
+        this.audioSource = options.audioSource || 'mic';
+        this.loopbackDevice = null;
+        // Custom vocabulary: phrase hints for the backend, replacements for the text
+        this.phrases = options.phrases || [];
+        this.replacements = compileReplacements(options.replacements || []);
+        this.channels = this.audioSource === 'mix' && getBackend(options.backend).supportsMultichannel ? 2 : 1;
+        // Model, features, sample rate and encoding; options the backend can't use are ignored by it
+        this.recognition = { ...RECOGNITION_DEFAULTS, ...options.recognition };
+        if (!(getBackend(options.backend).encodings || ['linear16']).includes(this.recognition.encoding)) {
+            this.recognition.encoding = 'linear16';
+        }
+        // Input cleanup: { gain (dB), highPass (Hz, 0 = off), noiseSuppression, autoGain }
+        this.audioProcessing = options.audioProcessing || {};
+        this.processor = null;
+        this.meter = null;
+        // Silence gating: { enabled, threshold (dBFS), hangoverMs }
+        this.voiceActivity = options.voiceActivity && options.voiceActivity.enabled ? options.voiceActivity : null;
+        this.vad = null;
+        this.idle = false;   // silent, with no stream open
+        this.idleSinceMs = 0;
+        this.backend = null;
+        this.source = options.source || null;
+        this.driver = options.driver || null;
+        // Pace file and stdin audio at real time; defaults to what the backend needs
+        this.realtime = options.realtime !== undefined ? options.realtime : getBackend(options.backend).realtimeInput;
         this.recognizeStream = null;
-        this.recordProcess = null;
+        this.drainingStreams = new Set();   // ended, still delivering their last results
+        this.streamConfig = null;
+        this.capture = null;
+        this.audioStream = null;
         this.isRecording = false;
+        this.paused = false;
         this.streamStartTime = null;
         this.refreshInterval = null;
         
+        // Audio bookkeeping across stream restarts, in ms of captured audio
+        this.ringBuffer = null;
+        this.finalEndMs = new Map();   // per channel
+        this.progressMs = 0;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.healthyTimer = null;
+        
         // Check if SOX is available
-        this.soxAvailable = this.checkSoxAvailability();
+        this.soxAvailable = isSoxAvailable();
         
-        try {
-            const clientOptions = {
-                fallback: false,
-                grpc: require('@grpc/grpc-js'),
-                projectId: process.env.GOOGLE_CLOUD_PROJECT || 'sigma-future-467102-e0'
-            };
-
-            this.client = new speech.SpeechClient(clientOptions);
-        } catch (error) {
-            throw new Error('Google Cloud Speech credentials not configured. Please run: gcloud auth application-default login');
-        }
+        const Backend = getBackend(this.backendId);
+        this.streamingLimit = Backend.streamingLimit;
+        this.classifyError = Backend.classifyError || (() => 'fatal');
+        this.describeError = Backend.describeError || (error => error.details || error.message);
+        this.backend = createBackend(this.backendId, options.backendOptions);
     }
     
     async start() {
         try {
-            if (!this.soxAvailable) {
+            if (this.source && decoderFor(this.source) === 'ffmpeg') {
+                if (!isFfmpegAvailable()) {
+                    throw new Error('ffmpeg is not installed. Please install ffmpeg to transcribe video and compressed audio files.');
+                }
+            } else if (!this.soxAvailable) {
                 throw new Error('SOX is not installed. Please install SOX to use speech recognition.');
             }
             
-            // Map device ID to index if needed
-            if (this.deviceId) {
-                this.deviceIndex = await this.getDeviceIndex(this.deviceId);
+            const encoder = encoderFor(this.recognition.encoding);
+            if (encoder === 'sox' && !this.soxAvailable) {
+                throw new Error('SOX is not installed. Please install SOX to send FLAC audio, or choose another encoding.');
+            }
+            if (encoder === 'ffmpeg' && !isFfmpegAvailable()) {
+                throw new Error('ffmpeg is not installed. Please install ffmpeg to send Opus audio, or choose another encoding.');
+            }
+            
+            if (!this.source) {
+                this.driver = this.driver || detectDriver();
+                
+                // Map the browser device onto the driver's device
+                if (this.deviceId && this.audioSource !== 'system') {
+                    this.device = await this.resolveDevice();
+                }
+                
+                if (this.audioSource !== 'mic') {
+                    this.loopbackDevice = await findLoopbackDevice(this.driver);
+                }
             }
             
             this.isRecording = true;
             this.startRecognition();
             this.startRecording();
             this.emit('start');
+            
+            // System audio alone never looks up the microphone
+            if (this.deviceId && this.audioSource !== 'system' && this.device === null) {
+                this.emit('device-fallback', this.deviceLabel);
+            }
         } catch (error) {
             this.emit('error', error);
             throw error;
@@ -54,182 +148,514 @@ class SpeechRecognition extends EventEmitter {
     }
     
     startRecognition() {
-        const request = {
-            config: {
-                encoding: 'LINEAR16',
-                sampleRateHertz: 16000,
-                languageCode: this.languageCode,
-                enableAutomaticPunctuation: true,
-                model: 'default',
-                audioChannelCount: 1,
-                profanityFilter: false
-            },
-            interimResults: true
+        const { sampleRate, ...features } = this.recognition;
+        this.streamConfig = {
+            ...features,
+            languageCode: this.languageCode,
+            alternativeLanguages: this.alternativeLanguages,
+            sampleRateHertz: sampleRate,
+            channels: this.source ? 1 : this.channels,
+            diarization: this.diarization,
+            phrases: this.phrases
         };
         
-        this.createRecognizeStream(request);
+        this.ringBuffer = new AudioRingBuffer({
+            sampleRate,
+            channels: this.streamConfig.channels
+        });
+        this.finalEndMs = new Map();
+        this.progressMs = 0;
+        this.reconnectAttempts = 0;
+        
+        this.processor = new AudioProcessor({ sampleRate, channels: this.streamConfig.channels, ...this.audioProcessing });
+        this.meter = new LevelMeter({ sampleRate, channels: this.streamConfig.channels });
+        this.meter.on('level', (level) => this.emit('level', level));
+        
+        // The first stream opens straight away, so setup problems show up now
+        // rather than when someone first speaks
+        this.idle = false;
+        this.idleSinceMs = 0;
+        this.vad = null;
+        if (this.voiceActivity) {
+            this.vad = new VoiceActivityDetector({
+                sampleRate,
+                channels: this.streamConfig.channels,
+                threshold: this.voiceActivity.threshold,
+                hangoverMs: this.voiceActivity.hangoverMs
+            });
+            this.vad.assumeSpeech();
+            this.vad.on('speech-start', (event) => this.handleSpeechStart(event));
+            this.vad.on('speech-end', (event) => this.handleSpeechEnd(event));
+        }
+        
+        this.createRecognizeStream();
     }
     
-    createRecognizeStream(request) {
-        if (this.recognizeStream) {
-            this.recognizeStream.end();
-            this.recognizeStream = null;
-        }
+    // Audio up to here has been confirmed by finals on every active channel
+    acknowledgedMs() {
+        return this.finalEndMs.size > 0 ? Math.min(...this.finalEndMs.values()) : 0;
+    }
+    
+    isActiveStream(stream) {
+        return stream === this.recognizeStream || this.drainingStreams.has(stream);
+    }
+    
+    // Audio from fromMs on is (re)sent; by default whatever hasn't been finalized
+    createRecognizeStream(fromMs = this.acknowledgedMs()) {
+        this.closeRecognizeStream();
         
         this.streamStartTime = Date.now();
         
-        // Set up periodic refresh before 4-minute limit
+        // Set up periodic refresh before the backend's session limit
         if (this.refreshInterval) {
             clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
         }
-        this.refreshInterval = setInterval(() => {
-            const elapsed = Date.now() - this.streamStartTime;
-            if (elapsed > 230000) { // Refresh after 3:50 minutes
-                this.restartStream(request);
-            }
-        }, 10000);
+        if (this.streamingLimit) {
+            this.refreshInterval = setInterval(() => {
+                const elapsed = Date.now() - this.streamStartTime;
+                if (elapsed > this.streamingLimit) {
+                    this.restartStream();
+                }
+            }, 10000);
+        }
+        
+        // Replay whatever the previous stream heard but never finalized. Result
+        // times count from the start of this stream's audio, which is kept with
+        // it: a draining stream can still deliver after the next one has opened.
+        const { audio, startMs } = this.ringBuffer.since(fromMs);
+        
+        // The ring buffer holds PCM, so compressed streams get it encoded on the way
+        const backendStream = this.backend.createStream(this.streamConfig);
+        const stream = this.streamConfig.encoding === 'linear16'
+            ? backendStream
+            : new EncodingStream(backendStream, this.streamConfig);
+        this.recognizeStream = stream;
         
-        this.recognizeStream = this.client
-            .streamingRecognize(request)
+        stream
             .on('error', (error) => {
-                if (!error.message.includes('deadline') && !error.message.includes('DEADLINE_EXCEEDED')) {
-                    this.emit('error', new Error('Speech recognition failed'));
-                } else {
-                    this.restartStream(request);
+                this.drainingStreams.delete(stream);
+                if (stream === this.recognizeStream) {
+                    this.handleStreamError(error);
                 }
             })
             .on('end', () => {
-                if (this.isRecording) {
-                    this.restartStream(request);
+                this.drainingStreams.delete(stream);
+                if (stream === this.recognizeStream && this.isRecording) {
+                    this.restartStream();
                 }
             })
-            .on('data', (data) => {
-                if (data.results && data.results.length > 0) {
-                    const result = data.results[0];
-                    if (result.alternatives && result.alternatives.length > 0) {
-                        const transcript = result.alternatives[0].transcript;
-                        const confidence = result.alternatives[0].confidence || 0;
-                        
-                        
-                        if (result.isFinal) {
-                            this.emit('final', transcript);
-                        } else {
-                            this.emit('interim', transcript);
-                        }
-                    }
+            .on('result', (result) => {
+                if (this.isActiveStream(stream)) {
+                    this.handleResult(result, startMs);
                 }
             });
+        
+        if (audio.length > 0) {
+            stream.write(audio);
+        }
+        
+        if (this.reconnectAttempts > 0) {
+            this.healthyTimer = setTimeout(() => {
+                if (stream === this.recognizeStream) {
+                    this.markReconnected();
+                }
+            }, RECONNECT_HEALTHY_AFTER);
+        }
+        
+        // Audio may have been held back while there was no stream
+        if (this.audioStream && this.audioStream.isPaused()) {
+            this.audioStream.resume();
+        }
     }
     
-    restartStream(request) {
-        setTimeout(() => {
-            if (this.isRecording) {
-                // Stop current recording
-                if (this.recordProcess) {
-                    this.recordProcess.stdout.unpipe();
-                }
-                // Create new stream and reconnect
-                this.createRecognizeStream(request);
-                if (this.recordProcess && !this.recordProcess.killed) {
-                    this.recordProcess.stdout.pipe(this.recognizeStream);
-                }
+    closeRecognizeStream() {
+        clearTimeout(this.healthyTimer);
+        this.healthyTimer = null;
+        
+        const stream = this.recognizeStream;
+        this.recognizeStream = null;
+        if (stream) {
+            stream.end();
+        }
+    }
+    
+    // Captured audio is cleaned up and metered, goes to the ring buffer, then to
+    // the live stream
+    handleAudio(input) {
+        const { audio: chunk, clipped } = this.processor.process(input);
+        // Nothing but part of a sample so far
+        if (chunk.length === 0) return;
+        // The meter keeps going while paused
+        this.meter.push(chunk, clipped);
+        
+        // Live audio while paused is dropped and doesn't count toward audio time
+        if (this.paused && this.capture.live) return;
+        
+        this.ringBuffer.push(chunk);
+        
+        if (!this.capture.live && this.ringBuffer.endMs - this.progressMs >= PROGRESS_INTERVAL) {
+            this.progressMs = this.ringBuffer.endMs;
+            this.emit('progress', { audioMs: this.progressMs });
+        }
+        
+        const stream = this.recognizeStream;
+        if (this.vad) {
+            // A stream opened just now has had this chunk replayed to it
+            this.vad.push(chunk);
+            if (this.idle || this.recognizeStream !== stream) return;
+        }
+        
+        if (!stream || !stream.writable) {
+            // Files wait for the next stream rather than outrun the ring buffer
+            if (this.capture && !this.capture.live) {
+                this.audioStream.pause();
             }
-        }, 100);
+            return;
+        }
+        
+        // Files can be read faster than the recognizer takes them
+        if (!stream.write(chunk) && this.capture && !this.capture.live) {
+            const audioStream = this.audioStream;
+            audioStream.pause();
+            stream.once('drain', () => {
+                if (audioStream === this.audioStream) {
+                    audioStream.resume();
+                }
+            });
+        }
     }
     
-    checkSoxAvailability() {
+    // Someone spoke after a silence: open a stream, starting a little before
+    // they were heard
+    handleSpeechStart({ atMs }) {
+        this.idle = false;
+        this.emit('speech-start', { atMs });
+        
+        if (this.recognizeStream || this.reconnectTimer || this.paused) return;
         try {
-            execSync('sox --version', { stdio: 'ignore' });
-            return true;
+            this.createRecognizeStream(Math.max(this.acknowledgedMs(), this.idleSinceMs, atMs - PRE_ROLL_MS));
         } catch (error) {
-            return false;
+            this.fail(new Error(`Speech recognition failed: ${this.describeError(error)}`));
         }
     }
     
-    async getDeviceIndex(deviceId) {
-        // For Windows, we need to map the device ID to an index
-        // SOX on Windows uses numeric indices for devices
-        try {
-            // Get list of audio input devices
-            const devices = await this.listAudioDevices();
-            const index = devices.findIndex(d => d.deviceId === deviceId);
-            return index >= 0 ? index : null;
-        } catch (error) {
-            return null;
+    // Silence: the stream finishes what it heard and nothing is sent until
+    // someone speaks again
+    handleSpeechEnd({ atMs }) {
+        this.idle = true;
+        this.idleSinceMs = atMs;
+        this.emit('speech-end', { atMs });
+        
+        if (this.recognizeStream) {
+            this.drainingStreams.add(this.recognizeStream);
+            this.closeRecognizeStream();
         }
     }
     
-    async listAudioDevices() {
-        // This would need to be implemented based on platform
-        // For now, return empty array as SOX device selection is limited on Windows
-        return [];
+    // audioStartMs: where the audio of the stream that heard this begins
+    handleResult(result, audioStartMs) {
+        if (this.reconnectAttempts > 0) {
+            this.markReconnected();
+        }
+        
+        const channel = result.channel || null;
+        const language = result.language || this.languageCode;
+        const endMs = audioStartMs + (result.resultEndMs || this.ringBuffer.endMs - audioStartMs);
+        
+        if (!result.isFinal) {
+            this.emit('interim', applyReplacements(result.transcript, this.replacements), { channel, language });
+            return;
+        }
+        
+        // Replayed audio can come back as a final we already emitted
+        const previousEndMs = this.finalEndMs.get(channel) || 0;
+        if (endMs <= previousEndMs) return;
+        
+        this.finalEndMs.set(channel, endMs);
+        this.ringBuffer.discardBefore(this.acknowledgedMs());
+        this.emitFinal(result, audioStartMs, previousEndMs, endMs);
     }
     
-    startRecording() {
-        // Use sox directly with Windows audio input
-        const soxArgs = [
-            '-t', 'waveaudio',
-        ];
-        
-        // Add device index if specified (0-based index for Windows)
-        if (this.deviceIndex !== null) {
-            soxArgs.push(`${this.deviceIndex}`);
+    // Diarized results are split into one final per speaker turn
+    emitFinal(result, audioStartMs, previousEndMs, endMs) {
+        const turns = result.speakers && result.speakers.length > 0
+            ? result.speakers
+            : [{ speaker: null, text: result.transcript }];
+        const firstWord = result.words && result.words[0];
+        
+        const receivedAt = Date.now();
+        turns.forEach(turn => {
+            const turnStart = turn.startMs !== undefined ? turn.startMs : (firstWord ? firstWord.startMs : null);
+            const turnEnd = turn.endMs !== undefined ? turn.endMs : null;
+            // Recognized words before replacements, on the same clock as startMs/endMs
+            const words = (turn.words || result.words || []).map(word => ({
+                word: word.word,
+                confidence: typeof word.confidence === 'number' ? word.confidence : null,
+                startMs: audioStartMs + word.startMs,
+                endMs: audioStartMs + word.endMs
+            }));
+            
+            this.emit('final', applyReplacements(turn.text, this.replacements), {
+                confidence: result.confidence,
+                words,
+                speaker: turn.speaker,
+                channel: result.channel || null,
+                language: result.language || this.languageCode,
+                // Audio time since capture started
+                startMs: turnStart !== null ? audioStartMs + turnStart : previousEndMs,
+                endMs: turnEnd !== null ? audioStartMs + turnEnd : endMs,
+                receivedAt
+            });
+        });
+    }
+    
+    handleStreamError(error) {
+        switch (this.classifyError(error)) {
+            case 'restart':
+                this.restartStream();
+                break;
+            case 'transient':
+                this.scheduleReconnect(error);
+                break;
+            default:
+                this.fail(new Error(`Speech recognition failed: ${this.describeError(error)}`));
+        }
+    }
+    
+    // Back off exponentially while the service or network is unavailable
+    scheduleReconnect(error) {
+        this.closeRecognizeStream();
+        
+        if (this.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+            this.fail(new Error(`Speech recognition failed: connection lost (${this.describeError(error)})`));
+            return;
+        }
+        
+        const backoff = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts);
+        const delay = Math.round(backoff * (0.8 + Math.random() * 0.4));
+        this.reconnectAttempts++;
+        
+        this.emit('reconnecting', { attempt: this.reconnectAttempts, delay, reason: error.details || error.message });
+        
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            // A silent session reconnects once someone speaks
+            if (this.isRecording && !this.idle) {
+                this.createRecognizeStream();
+            }
+        }, delay);
+    }
+    
+    markReconnected() {
+        clearTimeout(this.healthyTimer);
+        this.healthyTimer = null;
+        if (this.reconnectAttempts > 0) {
+            this.reconnectAttempts = 0;
+            this.emit('reconnected');
+        }
+    }
+    
+    // Swap in a fresh stream without pausing capture
+    restartStream() {
+        if (this.isRecording && !this.paused && !this.reconnectTimer && !this.idle) {
+            this.createRecognizeStream();
+        }
+    }
+    
+    // Change languages mid-session. Capture keeps running and audio not yet
+    // finalized is heard again in the new language.
+    setLanguage(languageCode, alternativeLanguages = this.alternativeLanguages) {
+        this.languageCode = languageCode;
+        if (getBackend(this.backendId).supportsLanguageDetection) {
+            this.alternativeLanguages = languageList(languageCode, alternativeLanguages).slice(1);
+        }
+        
+        if (this.streamConfig) {
+            this.streamConfig.languageCode = this.languageCode;
+            this.streamConfig.alternativeLanguages = this.alternativeLanguages;
+            this.restartStream();
+        }
+        this.emit('language', { languageCode: this.languageCode, alternativeLanguages: this.alternativeLanguages });
+    }
+    
+    // Stop recognizing but keep capture running; resuming opens a fresh stream
+    pause() {
+        if (!this.isRecording || this.paused) return;
+        
+        this.paused = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.closeRecognizeStream();
+        this.emit('pause');
+    }
+    
+    resume() {
+        if (!this.isRecording || !this.paused) return;
+        
+        this.paused = false;
+        this.reconnectAttempts = 0;
+        this.idle = false;
+        if (this.vad) {
+            this.vad.assumeSpeech();
+        }
+        this.createRecognizeStream();
+        this.emit('resume');
+    }
+    
+    async resolveDevice() {
+        // Browser device IDs are opaque, so match on the device label unless given a driver device ID
+        const devices = await listAudioDevices(this.driver);
+        const match = devices.find(device => device.id === this.deviceId) || matchDevice(devices, this.deviceLabel);
+        return match ? match.id : null;
+    }
+    
+    // A selected device failed; if it's gone, carry on with the default device
+    async handleDeviceError(error) {
+        const devices = await listAudioDevices(this.driver);
+        if (!this.isRecording) return;
+        
+        if (devices.some(device => device.id === this.device)) {
+            this.emit('error', error);
         } else {
-            soxArgs.push('-d'); // Default device
+            this.fallbackToDefaultDevice();
         }
+    }
+    
+    fallbackToDefaultDevice() {
+        if (!this.isRecording || this.device === null) return;
         
-        // Add audio format parameters
-        soxArgs.push(
-            '-r', '16000',             // Sample rate
-            '-c', '1',                 // Mono
-            '-e', 'signed-integer',    // Encoding
-            '-b', '16',                // Bits
-            '-t', 'wav',               // Output format
-            '-'                        // Output to stdout
-        );
+        const lostDevice = this.deviceLabel;
+        this.device = null;
+        this.deviceId = null;
+        this.deviceLabel = null;
+        this.restartRecording();
+        this.emit('device-fallback', lostDevice);
+    }
+    
+    startRecording() {
+        const source = this.source || this.deviceSource();
         
-        this.recordProcess = spawn('sox', soxArgs);
+        this.capture = new AudioCapture({ source, realtime: this.realtime, sampleRate: this.recognition.sampleRate });
         
-        this.recordProcess.stderr.on('data', (data) => {
-            // Sox stderr output is mostly informational, ignore it
+        this.capture.on('error', (error) => {
+            if (!this.isRecording) return;
+            
+            if (this.device !== null) {
+                this.handleDeviceError(error);
+            } else {
+                this.emit('error', error);
+            }
         });
         
-        this.recordProcess.on('error', (error) => {
-            this.emit('error', new Error('Recording failed. Please ensure SOX is installed and accessible.'));
+        // File and stdin sources run out; flush the recognizer before stopping
+        this.capture.on('end', () => {
+            this.finishInput();
         });
         
-        this.recordProcess.on('exit', (code, signal) => {
-            if (code !== 0 && code !== null && this.isRecording) {
-                this.emit('error', new Error('Recording stopped unexpectedly'));
-            }
-        });
+        this.audioStream = this.capture.start();
+        this.audioStream.on('data', (chunk) => this.handleAudio(chunk));
+    }
+    
+    deviceSource() {
+        switch (this.audioSource) {
+            case 'system':
+                return { type: 'device', driver: this.driver, device: this.loopbackDevice };
+            case 'mix':
+                return {
+                    type: 'mix',
+                    driver: this.driver,
+                    device: this.device,
+                    loopbackDevice: this.loopbackDevice,
+                    separate: this.channels > 1
+                };
+            default:
+                return { type: 'device', driver: this.driver, device: this.device };
+        }
+    }
+    
+    restartRecording() {
+        if (this.capture) {
+            this.capture.stop();
+            this.capture = null;
+            this.audioStream = null;
+        }
+        this.startRecording();
+    }
+    
+    finishInput() {
+        if (!this.isRecording) return;
+        this.isRecording = false;
         
-        // Pipe sox output to recognition stream
-        if (this.recognizeStream) {
-            this.recordProcess.stdout.pipe(this.recognizeStream);
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
         }
         
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        
+        // After a silence the last stream may still be finishing
+        const stream = this.recognizeStream || Array.from(this.drainingStreams).pop();
+        if (!stream) {
+            this.stop();
+            return;
+        }
+        
+        // Wait for the last results before reporting the session as stopped
+        let finished = false;
+        const done = () => {
+            if (!finished) {
+                finished = true;
+                this.drainingStreams.clear();
+                this.stop();
+            }
+        };
+        stream.once('end', done);
+        stream.once('error', done);
+        this.drainingStreams.add(stream);
+        this.closeRecognizeStream();
+    }
+    
+    // Give up on the session: release capture and report why
+    fail(error) {
+        this.teardown();
+        this.emit('error', error);
     }
     
     stop() {
+        this.teardown();
+        this.emit('stop');
+    }
+    
+    teardown() {
         this.isRecording = false;
+        this.paused = false;
         
         if (this.refreshInterval) {
             clearInterval(this.refreshInterval);
             this.refreshInterval = null;
         }
         
-        if (this.recordProcess) {
-            this.recordProcess.kill('SIGTERM');
-            this.recordProcess = null;
-        }
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
         
-        if (this.recognizeStream) {
-            this.recognizeStream.end();
-            this.recognizeStream = null;
+        if (this.capture) {
+            this.capture.stop();
+            this.capture = null;
+            this.audioStream = null;
         }
         
-        this.emit('stop');
+        this.closeRecognizeStream();
+        this.drainingStreams.clear();
+        
+        // Nobody is speaking once capture has stopped
+        if (this.vad && this.vad.speaking) {
+            this.vad.speaking = false;
+            this.emit('speech-end', { atMs: this.vad.endMs });
+        }
+        this.idle = false;
     }
 }
 
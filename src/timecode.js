@@ -0,0 +1,17 @@
+// Subtitle timestamps, shared with the main window's transcript panel
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+function formatTimestamp(ms, separator = '.') {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(Math.floor(ms % 1000), 3)}`;
+}
+
+module.exports = {
+    formatTimestamp
+};
@@ -0,0 +1,213 @@
+const { EventEmitter } = require('events');
+const { formatTimestamp } = require('./timecode');
+
+// Rough speaking rate used when a final arrives without any interims
+const MS_PER_WORD = 400;
+
+function countWords(text) {
+    return text.trim().split(/\s+/).length;
+}
+
+// Subtitle cue text, with the translation underneath when there is one
+function cueText(text, entry, escape = value => value) {
+    return entry.translation ? `${text}\n${escape(entry.translation)}` : text;
+}
+
+// WebVTT cue text is markup, so these have to be written as entities
+function escapeVtt(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Records final results with start/end times relative to the session start
+class TranscriptStore extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.speakers = options.speakers || null;
+        this.entries = [];
+        this.sessionStart = null;
+        this.pendingStart = null;
+    }
+
+    // Times keep running across stop/start until the transcript is cleared
+    startSession(time = Date.now()) {
+        if (this.sessionStart === null) {
+            this.sessionStart = time;
+        }
+        this.pendingStart = null;
+    }
+
+    // Called for interims so the final's start reflects when speech began
+    markSpeech(time = Date.now()) {
+        if (this.sessionStart === null) {
+            this.startSession(time);
+        }
+        if (this.pendingStart === null) {
+            this.pendingStart = time - this.sessionStart;
+        }
+    }
+
+    // Live results are timed by arrival; pass start/end (ms into the session)
+    // when the audio position is known, e.g. for files. confidence and words
+    // ({ word, confidence }) are kept so readers can tell what to double-check,
+    // along with the language the line was heard in.
+    addFinal(text, { time = Date.now(), speaker = null, start: knownStart, end: knownEnd, confidence, words, language } = {}) {
+        if (!text || !text.trim()) return null;
+        if (this.sessionStart === null) {
+            this.startSession(time);
+        }
+
+        if (knownStart !== undefined && knownEnd !== undefined) {
+            return this.pushEntry(text, knownStart, knownEnd, speaker, { confidence, words, language });
+        }
+
+        const previous = this.entries[this.entries.length - 1];
+        const previousEnd = previous ? previous.end : 0;
+        const end = Math.max(previousEnd, time - this.sessionStart);
+        const wordCount = countWords(text);
+        const estimatedStart = end - wordCount * MS_PER_WORD;
+        let start = this.pendingStart !== null
+            ? Math.max(previousEnd, Math.min(this.pendingStart, end))
+            : Math.max(previousEnd, estimatedStart);
+
+        // Speaker turns of one result arrive together, split its span by word count
+        if (previous && start >= end && previous.end === end) {
+            const previousWords = countWords(previous.text);
+            start = previous.start + Math.round((end - previous.start) * previousWords / (previousWords + wordCount));
+            previous.end = start;
+        }
+
+        return this.pushEntry(text, start, end, speaker, { confidence, words, language });
+    }
+
+    pushEntry(text, start, end, speaker, { confidence, words, language } = {}) {
+        const entry = {
+            index: this.entries.length + 1,
+            start,
+            end,
+            text: text.trim()
+        };
+        if (speaker !== null) {
+            entry.speaker = speaker;
+        }
+        if (language) {
+            entry.language = language;
+        }
+        if (typeof confidence === 'number' && confidence > 0) {
+            entry.confidence = confidence;
+        }
+        if (words && words.some(word => typeof word.confidence === 'number')) {
+            entry.words = words.map(word => ({ word: word.word, confidence: word.confidence }));
+        }
+
+        this.entries.push(entry);
+        this.pendingStart = null;
+        this.emit('entry', entry);
+        return entry;
+    }
+
+    // Corrections made while reviewing; empty text drops the entry. Corrected
+    // text has been checked by a person, so the recognizer's doubts no longer apply.
+    updateEntry(entry, text) {
+        if (!text || !text.trim()) {
+            this.removeEntry(entry);
+            return;
+        }
+        if (entry.text !== text.trim()) {
+            entry.text = text.trim();
+            entry.reviewed = true;
+            delete entry.confidence;
+            delete entry.words;
+        }
+    }
+
+    removeEntry(entry) {
+        const position = this.entries.indexOf(entry);
+        if (position === -1) return;
+
+        this.entries.splice(position, 1);
+        this.entries.forEach((remaining, i) => {
+            remaining.index = i + 1;
+        });
+    }
+
+    speakerName(entry) {
+        if (entry.speaker === undefined || entry.speaker === null) return null;
+        return this.speakers ? this.speakers.nameOf(entry.speaker) : `Speaker ${entry.speaker}`;
+    }
+
+    // "Name: text" for diarized entries
+    labelledText(entry) {
+        const name = this.speakerName(entry);
+        return name ? `${name}: ${entry.text}` : entry.text;
+    }
+
+    clear() {
+        this.entries = [];
+        this.sessionStart = null;
+        this.pendingStart = null;
+        this.emit('clear');
+    }
+
+    toSRT() {
+        return this.entries.map(entry => [
+            entry.index,
+            `${formatTimestamp(entry.start, ',')} --> ${formatTimestamp(entry.end, ',')}`,
+            cueText(this.labelledText(entry), entry)
+        ].join('\n')).join('\n\n') + '\n';
+    }
+
+    toVTT() {
+        // WebVTT has voice spans for speakers
+        const cues = this.entries.map(entry => {
+            const name = this.speakerName(entry);
+            const text = escapeVtt(entry.text);
+            return [
+                `${formatTimestamp(entry.start)} --> ${formatTimestamp(entry.end)}`,
+                cueText(name ? `<v ${escapeVtt(name)}>${text}` : text, entry, escapeVtt)
+            ].join('\n');
+        });
+        return ['WEBVTT', ...cues].join('\n\n') + '\n';
+    }
+
+    toText() {
+        return this.entries.map(entry => `[${formatTimestamp(entry.start)}] ${this.labelledText(entry)}`).join('\n') + '\n';
+    }
+
+    toJSONExport(metadata = {}) {
+        return JSON.stringify({
+            ...metadata,
+            sessionStart: this.sessionStart !== null ? new Date(this.sessionStart).toISOString() : null,
+            entries: this.entries.map(entry => {
+                const name = this.speakerName(entry);
+                return name ? { ...entry, speakerName: name } : entry;
+            })
+        }, null, 2);
+    }
+}
+
+const EXPORT_FORMATS = {
+    srt: { label: 'SubRip Subtitles', extension: 'srt', render: store => store.toSRT() },
+    vtt: { label: 'WebVTT Subtitles', extension: 'vtt', render: store => store.toVTT() },
+    txt: { label: 'Plain Text', extension: 'txt', render: store => store.toText() },
+    json: { label: 'JSON', extension: 'json', render: (store, metadata) => store.toJSONExport(metadata) }
+};
+
+function exportTranscript(store, format, metadata) {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+        throw new Error(`Unknown transcript format: ${format}`);
+    }
+    return {
+        content: exporter.render(store, metadata),
+        extension: exporter.extension,
+        label: exporter.label
+    };
+}
+
+module.exports = {
+    TranscriptStore,
+    EXPORT_FORMATS,
+    exportTranscript,
+    formatTimestamp
+};
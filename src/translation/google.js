@@ -0,0 +1,28 @@
+const { v2 } = require('@google-cloud/translate');
+const { clientOptions, describeError } = require('../google-cloud');
+
+// Google Cloud Translation (v2) provider, connected with options.cloud (see google-cloud.js)
+class GoogleTranslateProvider {
+    constructor(options = {}) {
+        try {
+            this.client = new v2.Translate(clientOptions(options.cloud));
+        } catch (error) {
+            throw new Error(`Google Cloud Translation could not be set up: ${error.message}`);
+        }
+    }
+
+    async translate(text, { source, target }) {
+        try {
+            const [translation] = await this.client.translate(text, { from: source, to: target });
+            return translation;
+        } catch (error) {
+            throw new Error(describeError(error, { service: 'Cloud Translation', api: 'translate.googleapis.com' }));
+        }
+    }
+}
+
+GoogleTranslateProvider.id = 'google';
+GoogleTranslateProvider.label = 'Google Translate';
+GoogleTranslateProvider.offline = false;
+
+module.exports = GoogleTranslateProvider;
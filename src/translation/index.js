@@ -0,0 +1,96 @@
+const GoogleTranslateProvider = require('./google');
+const LibreTranslateProvider = require('./libretranslate');
+
+// Translation providers implement:
+//   new Provider(options)                       throws if not usable
+//   provider.translate(text, { source, target }) resolves to the translated text
+const providers = {
+    [GoogleTranslateProvider.id]: GoogleTranslateProvider,
+    [LibreTranslateProvider.id]: LibreTranslateProvider
+};
+
+// Interims change constantly, only translate them this often
+const INTERIM_INTERVAL = 700;
+const CACHE_SIZE = 200;
+
+function createProvider(id, options = {}) {
+    const Provider = providers[id];
+    if (!Provider) {
+        throw new Error(`Unknown translation provider: ${id}`);
+    }
+    return new Provider(options);
+}
+
+function listProviders() {
+    return Object.values(providers).map(Provider => ({
+        id: Provider.id,
+        label: Provider.label,
+        offline: Provider.offline
+    }));
+}
+
+// "en-US" -> "en", except where the region selects a different script.
+// Recognition names Chinese by spoken language and Hebrew by its old code.
+function toTranslationLanguage(languageCode) {
+    if (/^zh-(TW|HK)$/i.test(languageCode) || /^(cmn|yue)-Hant/i.test(languageCode)) return 'zh-TW';
+    if (/^(cmn|yue)(-|$)/i.test(languageCode)) return 'zh';
+    if (/^iw(-|$)/i.test(languageCode)) return 'he';
+    return languageCode.split('-')[0];
+}
+
+// Sits between recognition results and the overlay. Stale interim
+// translations resolve to null so they never overwrite newer captions.
+class Translator {
+    constructor(provider, { source, target }) {
+        this.provider = provider;
+        this.source = toTranslationLanguage(source);
+        this.target = target;
+        this.cache = new Map();
+        this.sequence = 0;
+        this.lastInterimTime = 0;
+    }
+
+    // source is the language the result was heard in, when the recognizer says
+    async translate(text, isFinal, source = null) {
+        const now = Date.now();
+        if (!isFinal && now - this.lastInterimTime < INTERIM_INTERVAL) {
+            return null;
+        }
+        if (!isFinal) {
+            this.lastInterimTime = now;
+        }
+
+        const sequence = ++this.sequence;
+        const translation = await this.lookup(text, source ? toTranslationLanguage(source) : this.source);
+
+        // A newer result was already translated; finals always go through
+        if (!isFinal && sequence !== this.sequence) {
+            return null;
+        }
+        return translation;
+    }
+
+    async lookup(text, source) {
+        if (source === this.target) return text;
+        const key = `${source}:${text}`;
+        if (this.cache.has(key)) return this.cache.get(key);
+
+        const translation = await this.provider.translate(text, {
+            source,
+            target: this.target
+        });
+
+        this.cache.set(key, translation);
+        if (this.cache.size > CACHE_SIZE) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        return translation;
+    }
+}
+
+module.exports = {
+    Translator,
+    createProvider,
+    listProviders,
+    toTranslationLanguage
+};
@@ -0,0 +1,41 @@
+// Self-hosted LibreTranslate server, runs fully offline once its models are installed
+const DEFAULT_URL = 'http://localhost:5000';
+
+class LibreTranslateProvider {
+    constructor(options = {}) {
+        this.url = (options.url || process.env.LIBRETRANSLATE_URL || DEFAULT_URL).replace(/\/+$/, '');
+        this.apiKey = options.apiKey || process.env.LIBRETRANSLATE_API_KEY || null;
+    }
+
+    async translate(text, { source, target }) {
+        let response;
+        try {
+            response = await fetch(`${this.url}/translate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    q: text,
+                    source: source || 'auto',
+                    target,
+                    format: 'text',
+                    ...(this.apiKey ? { api_key: this.apiKey } : {})
+                })
+            });
+        } catch (error) {
+            throw new Error(`LibreTranslate server not reachable at ${this.url}`);
+        }
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `LibreTranslate request failed (${response.status})`);
+        }
+        return result.translatedText;
+    }
+}
+
+LibreTranslateProvider.id = 'libretranslate';
+LibreTranslateProvider.label = 'LibreTranslate (local)';
+LibreTranslateProvider.offline = true;
+LibreTranslateProvider.DEFAULT_URL = DEFAULT_URL;
+
+module.exports = LibreTranslateProvider;
@@ -0,0 +1,104 @@
+// Custom vocabulary: phrase hints for recognition and a replacement
+// dictionary applied to interim and final text.
+//
+// Phrase list, one per line with an optional boost:   Acme Widget | 15
+// Replacements, one per line:                          acme => ACME
+//                                                      /colou?r/gi => color
+
+const MAX_BOOST = 20;
+
+function parsePhraseList(text) {
+    return (text || '')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+            const match = /^(.*?)\s*\|\s*(-?\d+(?:\.\d+)?)$/.exec(line);
+            if (!match) return { phrase: line, boost: null };
+            const boost = Math.min(MAX_BOOST, Math.max(0, Number(match[2])));
+            return { phrase: match[1], boost };
+        })
+        .filter(entry => entry.phrase);
+}
+
+function formatPhraseList(phrases) {
+    return phrases
+        .map(entry => (entry.boost !== null && entry.boost !== undefined ? `${entry.phrase} | ${entry.boost}` : entry.phrase))
+        .join('\n');
+}
+
+// Google speechContexts, one context per boost value
+function toSpeechContexts(phrases) {
+    const groups = new Map();
+    phrases.forEach(entry => {
+        const key = entry.boost !== null && entry.boost !== undefined ? entry.boost : null;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry.phrase);
+    });
+
+    return Array.from(groups.entries()).map(([boost, list]) => (
+        boost !== null ? { phrases: list, boost } : { phrases: list }
+    ));
+}
+
+function parseReplacements(text) {
+    return (text || '')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && line.includes('=>'))
+        .map(line => {
+            const index = line.indexOf('=>');
+            const pattern = line.slice(0, index).trim();
+            const replacement = line.slice(index + 2).trim();
+            const regex = /^\/.+\/[a-z]*$/.test(pattern);
+            return { pattern, replacement, regex };
+        })
+        .filter(rule => rule.pattern);
+}
+
+function formatReplacements(rules) {
+    return rules.map(rule => `${rule.pattern} => ${rule.replacement}`).join('\n');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Literals match whole words, case-insensitively; /regex/flags are used as written
+function compileReplacements(rules) {
+    return rules.map(rule => {
+        if (rule.regex) {
+            const end = rule.pattern.lastIndexOf('/');
+            try {
+                return {
+                    pattern: new RegExp(rule.pattern.slice(1, end), rule.pattern.slice(end + 1)),
+                    replacement: rule.replacement
+                };
+            } catch (error) {
+                throw new Error(`Invalid replacement pattern ${rule.pattern}: ${error.message}`);
+            }
+        }
+
+        const startBoundary = /^\w/.test(rule.pattern) ? '\\b' : '';
+        const endBoundary = /\w$/.test(rule.pattern) ? '\\b' : '';
+        return {
+            pattern: new RegExp(`${startBoundary}${escapeRegExp(rule.pattern)}${endBoundary}`, 'gi'),
+            replacement: rule.replacement
+        };
+    });
+}
+
+function applyReplacements(text, compiled) {
+    if (!text || compiled.length === 0) return text;
+    return compiled.reduce((result, rule) => result.replace(rule.pattern, rule.replacement), text);
+}
+
+module.exports = {
+    parsePhraseList,
+    formatPhraseList,
+    toSpeechContexts,
+    parseReplacements,
+    formatReplacements,
+    compileReplacements,
+    applyReplacements
+};
@@ -0,0 +1,92 @@
+const { EventEmitter } = require('events');
+
+// Level analysis in 20 ms frames
+const FRAME_MS = 20;
+// Sound has to last this many frames to count as speech, so clicks and bumps don't
+const ATTACK_FRAMES = 3;
+
+const FULL_SCALE = 32768;
+
+// RMS level of 16-bit PCM in dBFS; -Infinity for digital silence
+function levelDb(pcm) {
+    const samples = Math.floor(pcm.length / 2);
+    if (samples === 0) return -Infinity;
+
+    let sum = 0;
+    for (let i = 0; i < samples * 2; i += 2) {
+        const sample = pcm.readInt16LE(i);
+        sum += sample * sample;
+    }
+    return 10 * Math.log10(sum / samples / (FULL_SCALE * FULL_SCALE));
+}
+
+// Tells speech from silence by level: speech starts once sound stays above
+// threshold (dBFS) for a moment and ends after hangoverMs below it. Emits
+// 'speech-start' and 'speech-end' with { atMs }, in ms of audio pushed.
+class VoiceActivityDetector extends EventEmitter {
+    constructor({ sampleRate, channels = 1, threshold = -50, hangoverMs = 1000 }) {
+        super();
+        this.bytesPerMs = (sampleRate * 2 * channels) / 1000;
+        this.frameBytes = Math.round((sampleRate * FRAME_MS) / 1000) * 2 * channels;
+        this.threshold = threshold;
+        this.hangoverMs = hangoverMs;
+
+        this.pending = Buffer.alloc(0);
+        this.bytes = 0;
+        this.speaking = false;
+        this.loudFrames = 0;
+        this.onsetMs = 0;
+        this.lastLoudMs = 0;
+    }
+
+    get endMs() {
+        return this.bytes / this.bytesPerMs;
+    }
+
+    push(chunk) {
+        const data = this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk;
+        let offset = 0;
+        while (data.length - offset >= this.frameBytes) {
+            this.analyze(data.subarray(offset, offset + this.frameBytes));
+            offset += this.frameBytes;
+        }
+        // Copied, so the remainder doesn't hold on to the whole chunk
+        this.pending = Buffer.from(data.subarray(offset));
+    }
+
+    analyze(frame) {
+        const startMs = this.endMs;
+        this.bytes += frame.length;
+
+        if (levelDb(frame) >= this.threshold) {
+            if (this.loudFrames === 0) {
+                this.onsetMs = startMs;
+            }
+            this.loudFrames++;
+            this.lastLoudMs = this.endMs;
+            if (!this.speaking && this.loudFrames >= ATTACK_FRAMES) {
+                this.speaking = true;
+                this.emit('speech-start', { atMs: this.onsetMs });
+            }
+        } else {
+            this.loudFrames = 0;
+            if (this.speaking && this.endMs - this.lastLoudMs >= this.hangoverMs) {
+                this.speaking = false;
+                this.emit('speech-end', { atMs: this.endMs });
+            }
+        }
+    }
+
+    // Treat what follows as speech until a hangover's worth of silence says
+    // otherwise, e.g. when capture starts or resumes
+    assumeSpeech() {
+        this.speaking = true;
+        this.loudFrames = 0;
+        this.lastLoudMs = this.endMs;
+    }
+}
+
+module.exports = {
+    levelDb,
+    VoiceActivityDetector
+};
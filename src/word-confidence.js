@@ -0,0 +1,52 @@
+// Word-level confidence from the recognizer, lined up with the text people see.
+// Final text may differ from the recognized words (replacements, speaker
+// prefixes), so words are matched rather than counted.
+
+const HIGHLIGHT_MODES = ['off', 'fade', 'underline'];
+
+// How far ahead to look for a word that text rewriting may have skipped
+const LOOKAHEAD = 3;
+
+function normalize(word) {
+    return String(word).toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+// Confidence (0-1) for each whitespace-separated word of text, null where unknown
+function alignConfidences(text, words) {
+    const tokens = text.trim().split(/\s+/).filter(Boolean);
+    if (!words || words.length === 0) {
+        return tokens.map(() => null);
+    }
+
+    const recognized = words.map(word => ({ key: normalize(word.word), confidence: word.confidence }));
+    let next = 0;
+
+    return tokens.map(token => {
+        const key = normalize(token);
+        const end = Math.min(recognized.length, next + LOOKAHEAD + 1);
+        for (let i = next; i < end; i++) {
+            if (key && recognized[i].key === key) {
+                next = i + 1;
+                return typeof recognized[i].confidence === 'number' ? recognized[i].confidence : null;
+            }
+        }
+        return null;
+    });
+}
+
+function isUncertain(confidence, threshold) {
+    return typeof confidence === 'number' && confidence < threshold;
+}
+
+// Words of a text as { text, confidence }, ready to render
+function confidenceWords(text, words) {
+    const confidences = alignConfidences(text, words);
+    return text.trim().split(/\s+/).filter(Boolean).map((word, i) => ({ text: word, confidence: confidences[i] }));
+}
+
+module.exports = {
+    HIGHLIGHT_MODES,
+    alignConfidences,
+    confidenceWords,
+    isUncertain
+};
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSoxArgs, buildFfmpegArgs, decoderFor, outputChannels } = require('../src/audio-capture');
+
+test('sox records a device as 16 kHz mono PCM on stdout', () => {
+    assert.deepEqual(buildSoxArgs({ type: 'device', driver: 'alsa', device: 'hw:1' }), [
+        '-q',
+        '-t', 'alsa', 'hw:1',
+        '-r', '16000', '-c', '1', '-e', 'signed-integer', '-b', '16',
+        '-t', 'raw', '-'
+    ]);
+});
+
+test('sox falls back to the default device per driver', () => {
+    assert.deepEqual(buildSoxArgs({ type: 'device', driver: 'pulseaudio', device: null }).slice(1, 4), ['-t', 'pulseaudio', 'default']);
+    assert.deepEqual(buildSoxArgs({ type: 'device', driver: 'waveaudio', device: null }).slice(1, 4), ['-t', 'waveaudio', '-d']);
+});
+
+test('sox resamples to the requested rate', () => {
+    const args = buildSoxArgs({ type: 'device', driver: 'alsa', device: null }, 8000);
+    assert.equal(args[args.indexOf('-r') + 1], '8000');
+});
+
+test('sox reads raw files and stdin with their own format', () => {
+    const file = buildSoxArgs({ type: 'file', path: 'talk.pcm', inputFormat: { rate: 44100, channels: 2 } });
+    assert.deepEqual(file.slice(1, 12), ['-t', 'raw', '-r', '44100', '-c', '2', '-e', 'signed-integer', '-b', '16', 'talk.pcm']);
+
+    const stdin = buildSoxArgs({ type: 'stdin', format: 'raw' });
+    assert.deepEqual(stdin.slice(1, 12), ['-t', 'raw', '-r', '16000', '-c', '1', '-e', 'signed-integer', '-b', '16', '-']);
+});
+
+test('sox reads other files and stdin by type', () => {
+    assert.deepEqual(buildSoxArgs({ type: 'file', path: 'talk.wav' }).slice(1, 2), ['talk.wav']);
+    assert.deepEqual(buildSoxArgs({ type: 'stdin' }).slice(1, 4), ['-t', 'wav', '-']);
+    assert.deepEqual(buildSoxArgs({ type: 'stdin', format: 'mp3' }).slice(1, 4), ['-t', 'mp3', '-']);
+});
+
+test('sox mixes or merges mic and system audio', () => {
+    const source = { type: 'mix', driver: 'pulseaudio', device: 'mic', loopbackDevice: 'monitor' };
+    const mixed = buildSoxArgs(source);
+    assert.equal(mixed[1], '-m');
+    assert.equal(outputChannels(source), 1);
+
+    const merged = buildSoxArgs({ ...source, separate: true });
+    assert.deepEqual(merged.slice(1, 13), [
+        '-M',
+        '-r', '16000', '-c', '1', '-t', 'pulseaudio', 'mic',
+        '-r', '16000', '-c', '1'
+    ]);
+    assert.deepEqual(merged.slice(13, 16), ['-t', 'pulseaudio', 'monitor']);
+    assert.equal(merged[merged.indexOf('-c', 16) + 1], '2');
+    assert.equal(outputChannels({ ...source, separate: true }), 2);
+});
+
+test('ffmpeg decodes the first audio track to mono PCM', () => {
+    assert.deepEqual(buildFfmpegArgs({ type: 'file', path: 'talk.mp4' }, 24000), [
+        '-v', 'error',
+        '-nostdin',
+        '-i', 'talk.mp4',
+        '-vn',
+        '-ac', '1',
+        '-ar', '24000',
+        '-f', 's16le',
+        '-'
+    ]);
+});
+
+test('video and container files go to ffmpeg', () => {
+    assert.equal(decoderFor({ type: 'file', path: 'talk.mp4' }), 'ffmpeg');
+    assert.equal(decoderFor({ type: 'file', path: 'talk.MKV' }), 'ffmpeg');
+    assert.equal(decoderFor({ type: 'file', path: 'talk.raw' }), 'sox');
+    assert.equal(decoderFor({ type: 'stdin' }), 'sox');
+    assert.equal(decoderFor({ type: 'file', path: 'talk.wav', decoder: 'ffmpeg' }), 'ffmpeg');
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AudioProcessor, LevelMeter } = require('../src/audio-processing');
+const { levelDb } = require('../src/voice-activity');
+
+const RATE = 16000;
+
+// A sine of the given peak amplitude, in one channel of `channels`; others silent
+function tone(amplitude, ms, { frequency = 440, channels = 1, channel = 0 } = {}) {
+    const frames = (RATE * ms) / 1000;
+    const pcm = Buffer.alloc(frames * 2 * channels);
+    for (let i = 0; i < frames; i++) {
+        const sample = Math.max(-32768, Math.min(32767, Math.round(amplitude * Math.sin((2 * Math.PI * frequency * i) / RATE))));
+        pcm.writeInt16LE(sample, (i * channels + channel) * 2);
+    }
+    return pcm;
+}
+
+function processInPieces(processor, audio, splitAt) {
+    return Buffer.concat([
+        processor.process(audio.subarray(0, splitAt)).audio,
+        processor.process(audio.subarray(splitAt)).audio
+    ]);
+}
+
+test('audio passes through untouched when nothing is turned on', () => {
+    const audio = tone(2000, 20);
+    const { audio: out, clipped } = new AudioProcessor({ sampleRate: RATE }).process(audio);
+    assert.deepEqual(out, audio);
+    assert.equal(clipped, 0);
+});
+
+test('a read that ends mid-sample is carried over to the next one', () => {
+    const audio = tone(2000, 20);
+
+    const passThrough = processInPieces(new AudioProcessor({ sampleRate: RATE }), audio, 321);
+    assert.deepEqual(passThrough, audio);
+
+    const gained = processInPieces(new AudioProcessor({ sampleRate: RATE, gain: 6 }), audio, 321);
+    const whole = new AudioProcessor({ sampleRate: RATE, gain: 6 }).process(audio).audio;
+    assert.equal(gained.length, 640);
+    assert.deepEqual(gained, whole);
+});
+
+test('stereo channels stay apart across split reads', () => {
+    // Left silent, right a tone; split inside a frame
+    const audio = tone(8000, 100, { channels: 2, channel: 1 });
+    const out = processInPieces(new AudioProcessor({ sampleRate: RATE, channels: 2, highPass: 120 }), audio, 1003);
+
+    assert.equal(out.length, audio.length);
+    for (let i = 0; i < out.length; i += 4) {
+        assert.equal(out.readInt16LE(i), 0);
+    }
+    assert.ok(levelDb(out) > -30);
+});
+
+test('input gain is applied in dB', () => {
+    const { audio } = new AudioProcessor({ sampleRate: RATE, gain: 6 }).process(tone(2000, 100));
+    assert.equal(Math.round(levelDb(audio) - levelDb(tone(2000, 100))), 6);
+});
+
+test('the high-pass filter removes hum and keeps speech', () => {
+    const hum = tone(10000, 500, { frequency: 50 });
+    const voice = tone(10000, 500, { frequency: 1000 });
+    // Skip the filter settling in
+    const after = audio => levelDb(new AudioProcessor({ sampleRate: RATE, highPass: 200 }).process(audio).audio.subarray(4000));
+
+    assert.ok(levelDb(hum) - after(hum) > 20);
+    assert.ok(Math.abs(levelDb(voice) - after(voice)) < 1);
+});
+
+test('noise suppression turns down audio near the noise floor', () => {
+    const processor = new AudioProcessor({ sampleRate: RATE, noiseSuppression: 'high' });
+    const noise = processor.process(tone(50, 1000)).audio;
+    const speech = processor.process(tone(8000, 500)).audio;
+
+    assert.ok(levelDb(tone(50, 1000)) - levelDb(noise.subarray(noise.length / 2)) > 15);
+    assert.ok(Math.abs(levelDb(tone(8000, 500)) - levelDb(speech.subarray(speech.length / 2))) < 1);
+});
+
+test('automatic gain brings quiet speech up without clipping loud speech', () => {
+    const processor = new AudioProcessor({ sampleRate: RATE, autoGain: true });
+    processor.process(tone(30, 500));   // Room noise sets the floor
+    let audio;
+    for (let i = 0; i < 10; i++) {
+        audio = processor.process(tone(1000, 500)).audio;
+    }
+    assert.ok(levelDb(audio) > levelDb(tone(1000, 500)) + 10);
+
+    // Ten times over full scale, yet only the very peaks reach it (past the
+    // first block, which ramps down from unity gain)
+    const loud = new AudioProcessor({ sampleRate: RATE, gain: 20, autoGain: true }).process(tone(20000, 500)).audio;
+    let atFullScale = 0;
+    for (let i = 640; i < loud.length; i += 2) {
+        if (Math.abs(loud.readInt16LE(i)) >= 32767) atFullScale++;
+    }
+    assert.ok(atFullScale < (loud.length - 640) / 2 / 100);
+});
+
+test('full-scale input samples are counted as clipped', () => {
+    const { clipped } = new AudioProcessor({ sampleRate: RATE }).process(tone(40000, 20));
+    assert.ok(clipped > 0);
+});
+
+test('the meter reports levels, clipping and long quiet stretches', () => {
+    const meter = new LevelMeter({ sampleRate: RATE });
+    const levels = [];
+    meter.on('level', level => levels.push(level));
+
+    meter.push(tone(3277, 100));
+    assert.deepEqual(levels.pop(), { level: -23, peak: -20, clipping: false, quiet: false });
+
+    meter.push(tone(32767, 100), 5);
+    assert.equal(levels.pop().clipping, true);
+    // Clipping stays flagged for a moment so it can be seen
+    meter.push(tone(3277, 100));
+    assert.equal(levels.pop().clipping, true);
+
+    for (let i = 0; i < 50; i++) {
+        meter.push(tone(100, 100));
+    }
+    const last = levels.pop();
+    assert.equal(last.clipping, false);
+    assert.equal(last.quiet, true);
+});
+
+test('the meter keeps time by the audio when reads are long', () => {
+    const meter = new LevelMeter({ sampleRate: RATE });
+    const levels = [];
+    meter.on('level', level => levels.push(level));
+
+    // One read is plenty to tell the room is quiet
+    meter.push(tone(100, 5000));
+    assert.equal(levels.length, 1);
+    assert.equal(levels.pop().quiet, true);
+
+    // Speech counts for as long as it lasted, not for one interval
+    meter.push(tone(8000, 1000));
+    meter.push(tone(100, 4000));
+    assert.equal(levels.pop().quiet, false);
+    meter.push(tone(100, 1000));
+    assert.equal(levels.pop().quiet, true);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AudioRingBuffer = require('../src/audio-ring-buffer');
+
+// 16 kHz mono: 32 bytes per ms
+const chunk = (ms, value) => Buffer.alloc(ms * 32, value);
+
+test('audio is replayed from a point in time', () => {
+    const buffer = new AudioRingBuffer({ sampleRate: 16000 });
+    buffer.push(chunk(100, 1));
+    buffer.push(chunk(100, 2));
+
+    assert.equal(buffer.endMs, 200);
+    const { audio, startMs } = buffer.since(150);
+    assert.equal(startMs, 150);
+    assert.equal(audio.length, 50 * 32);
+    assert.ok(audio.every(byte => byte === 2));
+});
+
+test('replay starts on a whole frame', () => {
+    const buffer = new AudioRingBuffer({ sampleRate: 16000, channels: 2 });
+    buffer.push(Buffer.alloc(6400));
+
+    // 0.03 ms is under one stereo frame (4 bytes), so nothing is skipped
+    assert.equal(buffer.since(0.03).audio.length, 6400);
+    assert.equal(buffer.since(50).audio.length % 4, 0);
+});
+
+test('acknowledged audio is dropped in whole chunks', () => {
+    const buffer = new AudioRingBuffer({ sampleRate: 16000 });
+    buffer.push(chunk(100, 1));
+    buffer.push(chunk(100, 2));
+
+    buffer.discardBefore(150);
+    assert.equal(buffer.startMs, 100);
+    // Asking for older audio gives what is left
+    assert.equal(buffer.since(0).startMs, 100);
+});
+
+test('the buffer holds about maxMs of audio', () => {
+    const buffer = new AudioRingBuffer({ sampleRate: 16000, maxMs: 250 });
+    for (let i = 0; i < 10; i++) {
+        buffer.push(chunk(100, i));
+    }
+
+    assert.equal(buffer.endMs, 1000);
+    assert.ok(buffer.endMs - buffer.startMs >= 250);
+    assert.ok(buffer.endMs - buffer.startMs < 400);
+    assert.equal(buffer.since(0).audio[0], 7);
+});
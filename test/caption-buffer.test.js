@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CaptionBuffer, wrapText, chunkText } = require('../src/caption-buffer');
+
+test('text wraps on word boundaries', () => {
+    assert.deepEqual(wrapText('the quick brown fox jumps', 10), ['the quick', 'brown fox', 'jumps']);
+});
+
+test('words longer than a line are split', () => {
+    assert.deepEqual(wrapText('a supercalifragilistic word', 10), ['a', 'supercalif', 'ragilistic', 'word']);
+});
+
+test('pop-on blocks prefer sentence breaks', () => {
+    assert.deepEqual(chunkText('One two. Three four five six.', 12, 2), [
+        ['One two.'],
+        ['Three four', 'five six.']
+    ]);
+});
+
+test('roll-up keeps the latest finals and interims within maxLines', () => {
+    const buffer = new CaptionBuffer({ maxLines: 2, lineLength: 20 });
+    buffer.pushFinal('first line');
+    buffer.pushFinal('second line');
+    buffer.setInterim('still talking');
+
+    assert.deepEqual(buffer.getLines().map(line => [line.text, line.isFinal]), [
+        ['second line', true],
+        ['still talking', false]
+    ]);
+
+    buffer.pushFinal('still talking here');
+    assert.deepEqual(buffer.getLines().map(line => line.text), ['second line', 'still talking here']);
+});
+
+test('interims are kept per channel', () => {
+    const buffer = new CaptionBuffer({ maxLines: 3 });
+    buffer.setInterim('local words', 1);
+    buffer.setInterim('remote words', 2);
+    buffer.pushFinal('local words done', null, 1);
+
+    assert.deepEqual(buffer.getLines().map(line => line.text), ['local words done', 'remote words']);
+});
+
+test('pop-on shows one block at a time', () => {
+    const buffer = new CaptionBuffer({ mode: 'pop-on', maxLines: 1, lineLength: 20 });
+    assert.equal(buffer.pushFinal('Hello there. How are you?'), 1);
+    assert.deepEqual(buffer.getLines().map(line => line.text), ['Hello there.']);
+
+    assert.equal(buffer.nextBlock(), true);
+    assert.deepEqual(buffer.getLines().map(line => line.text), ['How are you?']);
+    assert.equal(buffer.hasPendingBlocks(), false);
+});
+
+test('lines carry the speaker and word confidences', () => {
+    const buffer = new CaptionBuffer();
+    buffer.pushFinal('maybe this', 'a', null, [0.4, 0.9]);
+    const [line] = buffer.getLines();
+
+    assert.equal(line.speaker, 'a');
+    assert.deepEqual(line.words, [{ text: 'maybe', confidence: 0.4 }, { text: 'this', confidence: 0.9 }]);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { CaptionServer } = require('../src/caption-server');
+
+// A running server on a free port, stopped when the test ends
+async function startServer(t, settings = {}) {
+    const server = new CaptionServer({ enabled: true, ...settings });
+    server.settings.port = 0;
+    await server.start();
+    t.after(() => server.stop());
+    const base = `127.0.0.1:${server.server.address().port}`;
+    return { server, http: `http://${base}`, ws: `ws://${base}/ws` };
+}
+
+// Resolves with the open socket, or the status the upgrade was refused with
+function connect(url, origin) {
+    return new Promise((resolve, reject) => {
+        const socket = new WebSocket(url, origin ? { origin } : {});
+        socket.on('open', () => resolve(socket));
+        socket.on('unexpected-response', (req, res) => {
+            req.destroy();
+            resolve(res.statusCode);
+        });
+        socket.on('error', reject);
+    });
+}
+
+test('a token is needed in the query or a Bearer header when one is set', async (t) => {
+    const { http } = await startServer(t, { token: 'secret' });
+
+    assert.equal((await fetch(`${http}/captions.json`)).status, 401);
+    assert.equal((await fetch(`${http}/captions.json?token=wrong`)).status, 401);
+    assert.equal((await fetch(`${http}/captions.json?token=secret`)).status, 200);
+    assert.equal((await fetch(`${http}/captions.json`, { headers: { Authorization: 'Bearer secret' } })).status, 200);
+    assert.equal((await fetch(`${http}/captions.json`, { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+});
+
+test('without a token, only same-origin pages may open a WebSocket', async (t) => {
+    const { http, ws } = await startServer(t);
+
+    assert.equal(await connect(ws, 'https://example.com'), 401);
+
+    const socket = await connect(ws, http);
+    assert.ok(socket instanceof WebSocket);
+    socket.terminate();
+});
+
+test('with a token, other origins may connect if they present it', async (t) => {
+    const { ws } = await startServer(t, { token: 'secret' });
+
+    assert.equal(await connect(ws, 'https://example.com'), 401);
+
+    const socket = await connect(`${ws}?token=secret`, 'https://example.com');
+    assert.ok(socket instanceof WebSocket);
+    socket.terminate();
+});
+
+test('captions and styles are delivered as Server-Sent Events', async (t) => {
+    const { server, http } = await startServer(t);
+    server.publish('styles', { fontSize: 32 });
+
+    const response = await fetch(`${http}/events`);
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let received = '';
+    const readUntil = async (text) => {
+        while (!received.includes(text)) {
+            received += decoder.decode((await reader.read()).value, { stream: true });
+        }
+    };
+
+    // Styles already set are sent on connecting
+    await readUntil('\n\n');
+    assert.equal(received, `event: styles\ndata: ${JSON.stringify({ type: 'styles', data: { fontSize: 32 } })}\n\n`);
+
+    server.publish('caption', { text: 'Hello', isFinal: false });
+    await readUntil('event: caption');
+    await readUntil('}\n\n');
+    assert.ok(received.endsWith(`event: caption\ndata: ${JSON.stringify({ type: 'caption', data: { text: 'Hello', isFinal: false } })}\n\n`));
+    await reader.cancel();
+});
+
+test('the JSON snapshot holds recent finals and the current styles', async (t) => {
+    const { server, http } = await startServer(t);
+    server.publish('caption', { text: 'Hel', isFinal: false });
+    server.publish('caption', { text: 'Hola', isFinal: true, speaker: { tag: '1', name: 'Ana', color: '#ffffff' } });
+    server.publish('caption', { text: 'Hola', isFinal: true, translation: 'Hello' });
+    server.publish('styles', { fontSize: 32 });
+
+    const response = await fetch(`${http}/captions.json`);
+    assert.equal(response.headers.get('content-type'), 'application/json');
+    const { finals, styles } = await response.json();
+    assert.deepEqual(finals.map(({ text, translation, speaker }) => ({ text, translation, speaker })), [
+        { text: 'Hola', translation: 'Hello', speaker: 'Ana' }
+    ]);
+    assert.deepEqual(styles, { fontSize: 32 });
+});
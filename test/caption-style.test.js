@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { contrastRatio, checkContrast, fixContrast, resolveStyle } = require('../src/caption-style');
+
+const SOLID = { bgColor: '#000000', textColor: '#ffffff', opacity: 100, glassmorphic: false, fontSize: 28, fontWeight: 600, outlineWidth: 0 };
+
+test('contrast ratios follow WCAG', () => {
+    assert.equal(contrastRatio([0, 0, 0], [255, 255, 255]), 21);
+    assert.equal(contrastRatio([255, 255, 255], [255, 255, 255]), 1);
+    assert.equal(Math.round(contrastRatio([118, 118, 118], [255, 255, 255]) * 100) / 100, 4.54);
+});
+
+test('solid white on black meets AAA', () => {
+    const { ratio, level } = checkContrast(SOLID);
+    assert.equal(ratio, 21);
+    assert.equal(level, 'AAA');
+});
+
+test('a see-through box is judged over the worst backdrop', () => {
+    // White text on a faint box is unreadable over a white screen
+    assert.equal(checkContrast({ ...SOLID, opacity: 10 }).level, null);
+    // The glass effect tints even more lightly than its opacity
+    assert.ok(checkContrast({ ...SOLID, opacity: 60, glassmorphic: true }).ratio < checkContrast({ ...SOLID, opacity: 60 }).ratio);
+});
+
+test('an outline rescues text on a faint box', () => {
+    const style = { ...SOLID, opacity: 10, outlineWidth: 2, outlineColor: '#000000' };
+    assert.equal(checkContrast(style).level, 'AAA');
+});
+
+test('small text needs more contrast than large text', () => {
+    const grey = { ...SOLID, bgColor: '#767676', textColor: '#ffffff' };
+    assert.equal(checkContrast({ ...grey, fontSize: 16 }).level, 'AA');
+    assert.equal(checkContrast({ ...grey, fontSize: 16 }).minimum, 4.5);
+    assert.equal(checkContrast({ ...grey, fontSize: 28 }).minimum, 3);
+    assert.equal(checkContrast({ ...grey, fontSize: 20, fontWeight: 700 }).minimum, 3);
+});
+
+test('fixing contrast changes as little as it can', () => {
+    assert.equal(fixContrast(SOLID), SOLID);
+
+    const yellowOnWhite = { ...SOLID, bgColor: '#ffffff', textColor: '#ffff00' };
+    assert.equal(fixContrast(yellowOnWhite).textColor, '#000000');
+
+    const faint = { ...SOLID, opacity: 20, glassmorphic: true };
+    const fixed = fixContrast(faint);
+    assert.ok(checkContrast(fixed).level);
+    assert.equal(fixed.glassmorphic, false);
+    assert.ok(fixed.opacity > 20);
+});
+
+test('high contrast mode overrides the style', () => {
+    const resolved = resolveStyle({ ...SOLID, bgColor: '#ff6347', highContrast: true });
+    assert.equal(resolved.bgColor, '#000000');
+    assert.equal(resolved.textColor, '#ffffff');
+    assert.equal(resolved.fontWeight, 700);
+});
+
+test('dyslexia-friendly mode spaces text out and drops italics', () => {
+    const resolved = resolveStyle({ ...SOLID, letterSpacing: 0, lineHeight: 1.2, dyslexiaFriendly: true });
+    assert.equal(resolved.letterSpacing, 3.4);
+    assert.equal(resolved.wordSpacing, 4.5);
+    assert.equal(resolved.lineHeight, 1.5);
+    assert.equal(resolved.textAlign, 'left');
+    assert.equal(resolved.interimItalic, false);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const grpc = require('@grpc/grpc-js');
+const { speechEndpoint, parseServiceAccount, describeError } = require('../src/google-cloud');
+const GoogleSpeechBackend = require('../src/backends/google');
+
+// Just enough of Speech-to-Text to answer Recognize. Requests aren't decoded,
+// and an empty RecognizeResponse is an empty message.
+const SPEECH_SERVICE = {
+    Recognize: {
+        path: '/google.cloud.speech.v1p1beta1.Speech/Recognize',
+        requestStream: false,
+        responseStream: false,
+        requestSerialize: message => message,
+        requestDeserialize: buffer => buffer,
+        responseSerialize: () => Buffer.alloc(0),
+        responseDeserialize: buffer => buffer
+    }
+};
+
+// A stand-in that answers with whatever error is set, or success
+async function startStandIn() {
+    const standIn = { error: null, requests: 0 };
+    const server = new grpc.Server();
+    server.addService(SPEECH_SERVICE, {
+        Recognize: (call, callback) => {
+            standIn.requests++;
+            callback(standIn.error, standIn.error ? null : {});
+        }
+    });
+    const port = await new Promise((resolve, reject) => {
+        server.bindAsync('127.0.0.1:0', grpc.ServerCredentials.createInsecure(), (error, bound) => {
+            if (error) reject(error);
+            else resolve(bound);
+        });
+    });
+    standIn.endpoint = `127.0.0.1:${port}`;
+    standIn.close = () => server.forceShutdown();
+    return standIn;
+}
+
+test('endpoints follow the region unless overridden', () => {
+    assert.equal(speechEndpoint({}), null);
+    assert.equal(speechEndpoint({ region: 'global' }), null);
+    assert.deepEqual(speechEndpoint({ region: 'eu' }), { host: 'eu-speech.googleapis.com', port: null, insecure: false });
+    assert.deepEqual(speechEndpoint({ region: 'eu', endpoint: 'localhost:50051' }), { host: 'localhost', port: 50051, insecure: true });
+    assert.deepEqual(speechEndpoint({ endpoint: '[::1]:8080' }), { host: '[::1]', port: 8080, insecure: true });
+});
+
+test('service-account keys are checked', () => {
+    const key = { type: 'service_account', client_email: 'captions@example.iam.gserviceaccount.com', private_key: 'KEY', project_id: 'demo' };
+    assert.deepEqual(parseServiceAccount(JSON.stringify(key)), { client_email: key.client_email, private_key: 'KEY', project_id: 'demo' });
+    assert.throws(() => parseServiceAccount('{'), /not valid JSON/);
+    assert.throws(() => parseServiceAccount(JSON.stringify({ type: 'authorized_user' })), /Not a service-account key/);
+});
+
+test('missing credentials and project get setup instructions', () => {
+    const names = { service: 'Speech-to-Text', api: 'speech.googleapis.com' };
+    assert.match(describeError(new Error('Could not load the default credentials.'), names), /No Google Cloud credentials found/);
+    assert.match(describeError(new Error('Unable to detect a Project Id in the current environment.'), names), /No Google Cloud project set/);
+});
+
+test('the connection check reaches a local stand-in', async (t) => {
+    const standIn = await startStandIn();
+    t.after(standIn.close);
+
+    const message = await GoogleSpeechBackend.checkConnection({ cloud: { endpoint: standIn.endpoint } });
+    assert.equal(message, 'Connected to Speech-to-Text at 127.0.0.1');
+    assert.equal(standIn.requests, 1);
+});
+
+test('the connection check explains what the service refused', async (t) => {
+    const standIn = await startStandIn();
+    t.after(standIn.close);
+    const check = () => GoogleSpeechBackend.checkConnection({ cloud: { endpoint: standIn.endpoint } });
+
+    standIn.error = { code: grpc.status.UNAUTHENTICATED, details: 'Request had invalid authentication credentials.' };
+    await assert.rejects(check(), /^Error: Google Cloud rejected the credentials \(Request had invalid authentication credentials\.\)/);
+
+    standIn.error = { code: grpc.status.PERMISSION_DENIED, details: 'The caller does not have permission' };
+    await assert.rejects(check(), /^Error: The account isn't allowed to use Speech-to-Text in this project/);
+
+    standIn.error = { code: grpc.status.RESOURCE_EXHAUSTED, details: 'Too many requests' };
+    await assert.rejects(check(), /^Error: Speech-to-Text quota exceeded \(Too many requests\)/);
+
+    standIn.error = {
+        code: grpc.status.PERMISSION_DENIED,
+        details: 'Cloud Speech-to-Text API has not been used in project 123 before or it is disabled. Reason: SERVICE_DISABLED'
+    };
+    await assert.rejects(check(), /^Error: The Speech-to-Text API is not enabled for this project\. Enable it with: gcloud services enable speech\.googleapis\.com$/);
+});
+
+test('an unreachable endpoint is reported as such', async () => {
+    const standIn = await startStandIn();
+    const { endpoint } = standIn;
+    standIn.close();
+
+    await assert.rejects(
+        GoogleSpeechBackend.checkConnection({ cloud: { endpoint } }),
+        /^Error: Can't reach Speech-to-Text/
+    );
+});
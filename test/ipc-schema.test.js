@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkPayload } = require('../src/ipc-schema');
+
+test('unknown channels are refused', () => {
+    assert.throws(() => checkPayload('run-anything', {}), /Unknown message: run-anything/);
+    assert.throws(() => checkPayload('toString'), /Unknown message: toString/);
+});
+
+test('payloads that do not fit the schema are refused', () => {
+    assert.throws(() => checkPayload('select-profile', 42), /Invalid message - select-profile: expected text/);
+    assert.throws(() => checkPayload('rename-speaker', { tag: '1', name: 5 }), /rename-speaker.name: expected text/);
+    assert.throws(() => checkPayload('set-hotkeys', 'toggle'), /set-hotkeys: expected an object/);
+});
+
+test('channels without a payload take no arguments', () => {
+    assert.equal(checkPayload('start-captions'), undefined);
+    assert.throws(() => checkPayload('start-captions', {}), /start-captions takes no arguments/);
+});
+
+test('only the caption style fields sent are passed on', () => {
+    assert.deepEqual(checkPayload('update-caption-styles', { fontSize: 32 }), { fontSize: 32 });
+    assert.throws(() => checkPayload('update-caption-styles', { fontSize: 'huge' }), /update-caption-styles.fontSize: expected a number/);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { string, number, boolean, oneOf, object, recordOf, listOf, optional, defaultsOf, validate, mergeDeep } = require('../src/schema');
+
+const SCHEMA = object({
+    name: string('Default', /^\w+$/),
+    size: number(28, 12, 96),
+    threshold: number(null, 0, 1, true),
+    bold: boolean(false),
+    align: oneOf(['left', 'center'], 'center'),
+    tags: listOf(string(''), 2),
+    labels: recordOf(string('')),
+    note: optional(string(''))
+});
+
+test('defaults fill in whatever is missing', () => {
+    assert.deepEqual(validate(SCHEMA, {}), {
+        name: 'Default',
+        size: 28,
+        threshold: null,
+        bold: false,
+        align: 'center',
+        tags: [],
+        labels: {}
+    });
+    assert.deepEqual(defaultsOf(SCHEMA), validate(SCHEMA, undefined));
+});
+
+test('valid values are kept and numbers from form controls are parsed', () => {
+    const value = { name: 'Big', size: '40', threshold: 0, bold: true, align: 'left', tags: ['a'], labels: { x: 'y' }, note: 'hi' };
+    assert.deepEqual(validate(SCHEMA, value), { ...value, size: 40 });
+});
+
+test('invalid values fall back to defaults and are reported by path', () => {
+    const errors = [];
+    const cleaned = validate(SCHEMA, {
+        name: 'no spaces allowed',
+        size: 200,
+        threshold: 'high',
+        bold: 'yes',
+        align: 'right',
+        tags: ['a', 'b', 'c'],
+        labels: { x: 3 }
+    }, errors);
+
+    assert.deepEqual(cleaned, {
+        name: 'Default',
+        size: 28,
+        threshold: null,
+        bold: false,
+        align: 'center',
+        tags: [],
+        labels: { x: '' }
+    });
+    assert.deepEqual(errors, [
+        'name: "no spaces allowed" is not valid',
+        'size: must be between 12 and 96',
+        'threshold: expected a number',
+        'bold: expected true or false',
+        'align: must be one of left, center',
+        'tags: no more than 2 allowed',
+        'labels.x: expected text'
+    ]);
+});
+
+test('unknown fields are dropped', () => {
+    assert.equal('extra' in validate(SCHEMA, { extra: true }), false);
+});
+
+test('deep merges keep sibling fields', () => {
+    assert.deepEqual(mergeDeep({ style: { a: 1, b: 2 }, list: [1] }, { style: { b: 3 }, list: [2] }), {
+        style: { a: 1, b: 3 },
+        list: [2]
+    });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SettingsStore, SETTINGS_VERSION } = require('../src/settings-store');
+
+function settingsFile(t, contents) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const file = path.join(directory, 'settings.json');
+    if (contents !== undefined) {
+        fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    }
+    return file;
+}
+
+test('a first run starts from the default profiles', (t) => {
+    const file = settingsFile(t);
+
+    const settings = new SettingsStore(file).load();
+    assert.equal(settings.version, SETTINGS_VERSION);
+    assert.deepEqual(Object.keys(settings.profiles), ['default', 'meeting', 'stream', 'lecture']);
+    assert.equal(settings.activeProfile, 'default');
+    assert.equal(settings.captionServer.enabled, false);
+    assert.equal(settings.pendingLocalStorage, true);
+
+    // Saved in the current version
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).version, SETTINGS_VERSION);
+});
+
+test('an unreadable file is set aside and defaults are used', (t) => {
+    const file = settingsFile(t, '{ not json');
+
+    const settings = new SettingsStore(file).load();
+    assert.equal(settings.activeProfile, 'default');
+    assert.equal(fs.readFileSync(`${file}.broken`, 'utf8'), '{ not json');
+});
+
+test('invalid values are replaced and a missing active profile is repaired', (t) => {
+    const file = settingsFile(t, {
+        version: SETTINGS_VERSION,
+        activeProfile: 'gone',
+        profiles: { mine: { name: 'Mine', style: { fontSize: 'huge' } } }
+    });
+
+    const settings = new SettingsStore(file).load();
+    assert.equal(settings.activeProfile, 'mine');
+    assert.equal(settings.profiles.mine.style.fontSize, 28);
+});
+
+test('profile updates are validated', (t) => {
+    const store = new SettingsStore(settingsFile(t));
+    store.load();
+
+    assert.throws(() => store.updateProfile('default', { style: { fontSize: 500 } }), /Invalid settings - style.fontSize: must be between 12 and 96/);
+    assert.throws(() => store.updateProfile('default', { name: ' ' }), /Profile name cannot be empty/);
+    assert.equal(store.updateProfile('default', { style: { fontSize: 40 } }).style.fontSize, 40);
+});
+
+test('profiles survive export and import', (t) => {
+    const store = new SettingsStore(settingsFile(t));
+    store.load();
+    store.updateProfile('default', { diarization: true });
+
+    const imported = store.importProfile(store.exportProfile('default'));
+    assert.equal(imported.id, 'default-2');
+    assert.equal(imported.name, 'Default (2)');
+    assert.equal(imported.diarization, true);
+    assert.throws(() => store.importProfile('{}'), /Not an Unmarketable Tomato profile file/);
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const { registerBackend } = require('../src/backends');
+const { isSoxAvailable } = require('../src/audio-capture');
+const SpeechRecognition = require('../src/speech-recognition');
+
+// Hears nothing, but reports a final with how much audio it was sent
+class StubStream extends Writable {
+    constructor(config) {
+        super();
+        this.config = config;
+        this.bytes = 0;
+    }
+
+    _write(chunk, encoding, callback) {
+        this.bytes += chunk.length;
+        callback();
+    }
+
+    _final(callback) {
+        const bytesPerMs = (this.config.sampleRateHertz * 2 * this.config.channels) / 1000;
+        this.emit('result', {
+            transcript: `${this.bytes} bytes`,
+            confidence: 1,
+            isFinal: true,
+            resultEndMs: this.bytes / bytesPerMs
+        });
+        callback();
+        this.emit('end');
+    }
+}
+
+class StubBackend {
+    createStream(config) {
+        return new StubStream(config);
+    }
+}
+StubBackend.id = 'stub';
+StubBackend.label = 'Stub';
+StubBackend.streamingLimit = 0;
+StubBackend.realtimeInput = false;
+StubBackend.encodings = ['linear16'];
+registerBackend(StubBackend);
+
+function rawFile(samples) {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'captions-')), 'tone.raw');
+    const pcm = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        pcm.writeInt16LE(Math.round(8000 * Math.sin((2 * Math.PI * 440 * i) / 16000)), i * 2);
+    }
+    fs.writeFileSync(file, pcm);
+    return file;
+}
+
+test('a raw file is recognized start to finish', { skip: !isSoxAvailable() && 'sox is not installed' }, async () => {
+    const file = rawFile(16000 * 2);
+    const recognition = new SpeechRecognition('en-US', null, {
+        backend: 'stub',
+        source: { type: 'file', path: file, format: 'raw' }
+    });
+
+    const finals = [];
+    recognition.on('final', (text, details) => finals.push({ text, details }));
+    const stopped = new Promise((resolve, reject) => {
+        recognition.on('stop', resolve);
+        recognition.on('error', reject);
+    });
+
+    await recognition.start();
+    await stopped;
+
+    assert.equal(finals.length, 1);
+    assert.equal(finals[0].text, '64000 bytes');
+    assert.equal(finals[0].details.startMs, 0);
+    assert.equal(finals[0].details.endMs, 2000);
+});
+
+// Holds each stream's final until the test releases it, like a recognizer
+// still working through the end of an utterance
+class HeldStream extends StubStream {
+    _final(callback) {
+        this.release = () => StubStream.prototype._final.call(this, () => {});
+        callback();
+    }
+}
+
+class HeldBackend extends StubBackend {
+    constructor() {
+        super();
+        this.streams = [];
+    }
+
+    createStream(config) {
+        const stream = new HeldStream(config);
+        this.streams.push(stream);
+        return stream;
+    }
+}
+HeldBackend.id = 'held';
+registerBackend(HeldBackend);
+
+function tone(amplitude, ms) {
+    const pcm = Buffer.alloc(ms * 32);
+    for (let i = 0; i < ms * 16; i++) {
+        pcm.writeInt16LE(Math.round(amplitude * Math.sin((2 * Math.PI * 440 * i) / 16000)), i * 2);
+    }
+    return pcm;
+}
+
+test('a stream finishing after speech resumed keeps its own timing', async () => {
+    const recognition = new SpeechRecognition('en-US', null, {
+        backend: 'held',
+        voiceActivity: { enabled: true, threshold: -50, hangoverMs: 500 }
+    });
+    const finals = [];
+    recognition.on('final', (text, details) => finals.push([details.startMs, details.endMs]));
+
+    // Live audio fed straight in, without a capture process
+    recognition.isRecording = true;
+    recognition.capture = { live: true, stop() {} };
+    recognition.startRecognition();
+    const feed = (amplitude, ms) => {
+        for (let sent = 0; sent < ms; sent += 100) {
+            recognition.handleAudio(tone(amplitude, 100));
+        }
+    };
+    const [first] = recognition.backend.streams;
+
+    feed(8000, 3000);
+    feed(0, 700);          // Speech ends 500 ms after it stopped, the first stream drains
+    feed(8000, 1000);      // and is still draining when speech resumes
+    const second = recognition.backend.streams[1];
+    assert.notEqual(second, undefined);
+
+    first.release();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(finals, [[0, 3400]]);
+
+    feed(0, 700);
+    second.release();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(finals, [[0, 3400], [3400, 5100]]);
+
+    recognition.teardown();
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TranscriptStore, exportTranscript } = require('../src/transcript');
+
+function sampleTranscript() {
+    const store = new TranscriptStore();
+    store.startSession(Date.UTC(2024, 0, 1));
+    store.addFinal('Hello there', { start: 0, end: 1500, speaker: 1 });
+    store.addFinal('General Kenobi', { start: 1500, end: 3250, speaker: 2 });
+    return store;
+}
+
+test('SRT cues are numbered and use comma milliseconds', () => {
+    const { content, extension } = exportTranscript(sampleTranscript(), 'srt');
+    assert.equal(extension, 'srt');
+    assert.equal(content, [
+        '1',
+        '00:00:00,000 --> 00:00:01,500',
+        'Speaker 1: Hello there',
+        '',
+        '2',
+        '00:00:01,500 --> 00:00:03,250',
+        'Speaker 2: General Kenobi',
+        ''
+    ].join('\n'));
+});
+
+test('VTT cues name speakers with voice spans', () => {
+    const { content } = exportTranscript(sampleTranscript(), 'vtt');
+    assert.equal(content, [
+        'WEBVTT',
+        '',
+        '00:00:00.000 --> 00:00:01.500',
+        '<v Speaker 1>Hello there',
+        '',
+        '00:00:01.500 --> 00:00:03.250',
+        '<v Speaker 2>General Kenobi',
+        ''
+    ].join('\n'));
+});
+
+test('VTT cue text and speaker names are escaped', () => {
+    const store = new TranscriptStore({ speakers: { nameOf: () => 'Q&A <host>' } });
+    store.addFinal('use a -> b & <b>not</b> this', { start: 0, end: 1000, speaker: 1 });
+    store.entries[0].translation = 'a < b';
+    assert.equal(exportTranscript(store, 'vtt').content.split('\n\n')[1], [
+        '00:00:00.000 --> 00:00:01.000',
+        '<v Q&amp;A &lt;host&gt;>use a -&gt; b &amp; &lt;b&gt;not&lt;/b&gt; this',
+        'a &lt; b',
+        ''
+    ].join('\n'));
+});
+
+test('text export puts a timestamp before each line', () => {
+    const { content } = exportTranscript(sampleTranscript(), 'txt');
+    assert.equal(content, '[00:00:00.000] Speaker 1: Hello there\n[00:00:01.500] Speaker 2: General Kenobi\n');
+});
+
+test('translations go under the line they translate', () => {
+    const store = new TranscriptStore();
+    store.addFinal('Hola', { start: 0, end: 1000 });
+    store.entries[0].translation = 'Hello';
+    assert.match(exportTranscript(store, 'srt').content, /Hola\nHello\n/);
+});
+
+test('JSON export carries metadata, the session start and speaker names', () => {
+    const { content } = exportTranscript(sampleTranscript(), 'json', { language: 'en-US' });
+    const exported = JSON.parse(content);
+    assert.equal(exported.language, 'en-US');
+    assert.equal(exported.sessionStart, '2024-01-01T00:00:00.000Z');
+    assert.equal(exported.entries.length, 2);
+    assert.equal(exported.entries[1].speakerName, 'Speaker 2');
+});
+
+test('the store itself serializes as an object', () => {
+    const serialized = JSON.parse(JSON.stringify(sampleTranscript()));
+    assert.equal(typeof serialized, 'object');
+    assert.equal(serialized.entries.length, 2);
+});
+
+test('corrections drop the recognizer confidence, empty ones drop the line', () => {
+    const store = new TranscriptStore();
+    const first = store.addFinal('their here', { start: 0, end: 1000, confidence: 0.4, words: [{ word: 'their', confidence: 0.3 }] });
+    store.addFinal('again', { start: 1000, end: 2000 });
+
+    store.updateEntry(first, "they're here");
+    assert.equal(first.reviewed, true);
+    assert.equal(first.confidence, undefined);
+    assert.equal(first.words, undefined);
+
+    store.updateEntry(first, '  ');
+    assert.deepEqual(store.entries.map(entry => [entry.index, entry.text]), [[1, 'again']]);
+});
+
+test('unknown formats are refused', () => {
+    assert.throws(() => exportTranscript(new TranscriptStore(), 'doc'), /Unknown transcript format: doc/);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parsePhraseList,
+    formatPhraseList,
+    toSpeechContexts,
+    parseReplacements,
+    formatReplacements,
+    compileReplacements,
+    applyReplacements
+} = require('../src/vocabulary');
+
+test('phrases take an optional boost, clamped to 0-20', () => {
+    assert.deepEqual(parsePhraseList('Acme Widget | 15\n\n  Kubernetes  \nfoo | 50\nbar | -3\n'), [
+        { phrase: 'Acme Widget', boost: 15 },
+        { phrase: 'Kubernetes', boost: null },
+        { phrase: 'foo', boost: 20 },
+        { phrase: 'bar', boost: 0 }
+    ]);
+});
+
+test('phrase lists survive a round trip', () => {
+    const text = 'Acme Widget | 15\nKubernetes';
+    assert.equal(formatPhraseList(parsePhraseList(text)), text);
+});
+
+test('phrases are grouped into one speech context per boost', () => {
+    assert.deepEqual(toSpeechContexts(parsePhraseList('a | 5\nb\nc | 5')), [
+        { phrases: ['a', 'c'], boost: 5 },
+        { phrases: ['b'] }
+    ]);
+});
+
+test('replacement lines need an arrow', () => {
+    const rules = parseReplacements('acme => ACME\nno arrow here\n/colou?r/gi => color');
+    assert.deepEqual(rules, [
+        { pattern: 'acme', replacement: 'ACME', regex: false },
+        { pattern: '/colou?r/gi', replacement: 'color', regex: true }
+    ]);
+    assert.equal(formatReplacements(rules), 'acme => ACME\n/colou?r/gi => color');
+});
+
+test('literal replacements match whole words in any case', () => {
+    const compiled = compileReplacements(parseReplacements('acme => ACME\nc++ => C++'));
+    assert.equal(applyReplacements('Acme and acmes use c++', compiled), 'ACME and acmes use C++');
+});
+
+test('regex replacements are used as written', () => {
+    const compiled = compileReplacements(parseReplacements('/colou?r/gi => hue'));
+    assert.equal(applyReplacements('Colour and color', compiled), 'hue and hue');
+});
+
+test('invalid patterns are reported', () => {
+    assert.throws(() => compileReplacements(parseReplacements('/(/ => x')), /Invalid replacement pattern \/\(\//);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { levelDb, VoiceActivityDetector } = require('../src/voice-activity');
+
+const RATE = 16000;
+
+// A 440 Hz tone of the given peak amplitude; 0 for silence
+function tone(amplitude, ms) {
+    const samples = (RATE * ms) / 1000;
+    const pcm = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        pcm.writeInt16LE(Math.round(amplitude * Math.sin((2 * Math.PI * 440 * i) / RATE)), i * 2);
+    }
+    return pcm;
+}
+
+function detector(options = {}) {
+    const vad = new VoiceActivityDetector({ sampleRate: RATE, threshold: -50, hangoverMs: 500, ...options });
+    const events = [];
+    vad.on('speech-start', ({ atMs }) => events.push(['start', atMs]));
+    vad.on('speech-end', ({ atMs }) => events.push(['end', atMs]));
+    return { vad, events };
+}
+
+test('levels are RMS dBFS', () => {
+    assert.equal(levelDb(Buffer.alloc(0)), -Infinity);
+    assert.equal(levelDb(Buffer.alloc(320)), -Infinity);
+    // A full-scale sine is 3 dB below a full-scale square wave
+    assert.equal(Math.round(levelDb(tone(32767, 100))), -3);
+    assert.equal(Math.round(levelDb(tone(3277, 100))), -23);
+});
+
+test('speech starts where the sound began and ends after the hangover', () => {
+    const { vad, events } = detector();
+    vad.push(tone(0, 200));
+    vad.push(tone(3000, 400));
+    vad.push(tone(0, 1000));
+
+    assert.deepEqual(events, [['start', 200], ['end', 1100]]);
+    assert.equal(vad.speaking, false);
+    assert.equal(vad.endMs, 1600);
+});
+
+test('clicks shorter than a few frames are not speech', () => {
+    const { vad, events } = detector();
+    vad.push(tone(0, 100));
+    vad.push(tone(10000, 40));
+    vad.push(tone(0, 100));
+
+    assert.deepEqual(events, []);
+});
+
+test('sound below the threshold is silence', () => {
+    const { vad, events } = detector({ threshold: -20 });
+    vad.push(tone(3000, 500));
+
+    assert.deepEqual(events, []);
+});
+
+test('frames are put together from chunks of any size', () => {
+    const { vad, events } = detector();
+    const audio = Buffer.concat([tone(0, 100), tone(3000, 200)]);
+    for (let offset = 0; offset < audio.length; offset += 333) {
+        vad.push(audio.subarray(offset, offset + 333));
+    }
+
+    assert.deepEqual(events, [['start', 100]]);
+});
+
+test('assumed speech ends after a hangover of silence', () => {
+    const { vad, events } = detector();
+    vad.assumeSpeech();
+    vad.push(tone(0, 600));
+
+    assert.deepEqual(events, [['end', 500]]);
+});